@@ -1,103 +1,72 @@
 import 'dotenv/config';
 import express from 'express';
-import { getTools, handleJsonRpc } from './src/mcp.mjs';
+import { getTools } from './src/mcp.mjs';
+import { createHttpTransport } from './src/transports/http.mjs';
+import { createQuoteRoutes } from './src/routes/quotes.mjs';
+import { attachWebSocketTransport } from './src/transports/ws.mjs';
+import { authorizeRequest } from './src/auth.mjs';
+import { OAUTH_MODE, oauthEnabled, requestBaseUrl, wwwAuthenticate } from './src/oauth.mjs';
+import { createOAuthRoutes } from './src/routes/oauth.mjs';
+import { originAllowed, securityHeaders } from './src/cors.mjs';
 
 const PORT = Number(process.env.PORT || 8080);
-const REQUIRED_TOKEN = process.env.MCP_TOKEN?.trim();
 
-function authGuard(req, res, next) {
-    if (!REQUIRED_TOKEN) return next(); // no auth configured
-    const hdr = req.headers['authorization'] || '';
-    const bearer = hdr.startsWith('Bearer ') ? hdr.slice(7) : undefined;
-    const token = bearer || req.query.token || req.headers['x-access-token'];
-    if (token === REQUIRED_TOKEN) return next();
-    res.setHeader('WWW-Authenticate', 'Bearer');
-    return res.status(401).json({ error: 'Unauthorized' });
-}
+// Express guard shared by every route; `scope` additionally requires that key scope (tool scopes are
+// checked per call by the core, which gets the key as req.auth)
+const authGuard = (scope) => async (req, res, next) => {
+    let result;
+    try {
+        result = await authorizeRequest(req);
+    } catch (err) {
+        return next(err);
+    }
+    const { ok, auth, token } = result;
+    if (!ok) {
+        res.setHeader('WWW-Authenticate', wwwAuthenticate(requestBaseUrl(req), token ? { error: 'invalid_token' } : {}));
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (scope && auth && !auth.scopes.includes(scope)) {
+        res.setHeader('WWW-Authenticate', wwwAuthenticate(requestBaseUrl(req), { error: 'insufficient_scope', scope }));
+        return res.status(403).json({ error: `Forbidden: requires the "${scope}" scope` });
+    }
+    req.auth = auth;
+    next();
+};
 
 const app = express();
-app.use(express.json({ type: 'application/json' }));
+app.disable('x-powered-by');
 // Basic request log for debugging
 app.use((req, _res, next) => {
     console.log(`[REQ] ${req.method} ${req.path}`);
     next();
 });
+// nosniff, no framing, no referrer, HSTS on HTTPS; CORS is applied per route (src/cors.mjs)
+app.use(securityHeaders);
 
-// GET /mcp → 426 Upgrade Required (per spec)
-app.get('/mcp', authGuard, (_req, res) => {
-    res.status(426).json({ error: 'Upgrade Required' });
-});
-
-async function streamSse(req, res) {
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-    });
-    const init = await handleJsonRpc({ jsonrpc: '2.0', id: 0, method: 'initialize', params: {} });
-    res.write('event: message\n');
-    res.write(`data: ${JSON.stringify(init)}\n\n`);
-    const interval = setInterval(() => {
-        res.write('event: ping\n');
-        res.write('data: "keep-alive"\n\n');
-    }, 25000);
-    req.on('close', () => clearInterval(interval));
+// OAuth: protected-resource metadata, plus the built-in authorization server with OAUTH_MODE=builtin
+if (oauthEnabled) {
+    app.use(createOAuthRoutes());
+    console.log('[OAUTH] Mode', OAUTH_MODE);
 }
-
-// SSE endpoint – send initial initialize message and keep the stream alive
-app.get('/mcp/sse', authGuard, streamSse);
-
-// CORS preflight for /mcp/sse POST
-app.options('/mcp/sse', (req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Access-Token');
-    res.status(204).end();
-});
-
-// Some clients POST to /mcp/sse to send JSON-RPC requests
-app.post('/mcp/sse', authGuard, async (req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    try {
-        const out = await handleJsonRpc(req.body);
-        res.status(200).json(out);
-    } catch {
-        res.status(200).json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
-    }
-});
-
-// Optional HTTP JSON-RPC endpoint to produce SSE-compatible responses
-// CORS preflight for /mcp/http
-app.options('/mcp/http', (req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Access-Token');
-    res.status(204).end();
-});
-
-// GET handler for /mcp/http → SSE alias for compatibility (Agent Builder sometimes expects GET on the same URL)
-app.get('/mcp/http', authGuard, streamSse);
-
-// POST /mcp/http → JSON-RPC over HTTP with CORS
-app.post('/mcp/http', authGuard, async (req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    try {
-        const out = await handleJsonRpc(req.body);
-        res.status(200).json(out);
-    } catch {
-        res.status(200).json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
-    }
-});
+// MCP endpoints: /mcp and /mcp/http (Streamable HTTP), /mcp/sse (legacy SSE), /mcp/info
+app.use(createHttpTransport({ auth: authGuard() }));
+// Quote downloads: /quotes/:id/export?format=html|pdf|csv|quotewerks&lang=en|ar
+app.use(createQuoteRoutes({ auth: authGuard('quote') }));
 
 // Health
 app.get('/', (_req, res) => {
     res.json({ ok: true, tools: getTools() });
 });
 
-// Agent Builder compatibility: return tools list
-app.get('/mcp/info', authGuard, (_req, res) => {
-    res.json({ ok: true, tools: getTools() });
+const server = app.listen(PORT, '0.0.0.0', () => console.log(`MCP Server running on PORT ${PORT}`));
+// WebSocket upgrades on ws(s)://<host>/mcp share the same core and tool registry
+attachWebSocketTransport(server, {
+    path: '/mcp',
+    authorize: async (req) => {
+        const { ok, auth } = await authorizeRequest(req);
+        req.auth = auth;
+        return ok;
+    },
+    challenge: (req) => wwwAuthenticate(requestBaseUrl(req)),
+    allowOrigin: originAllowed,
 });
-
-app.listen(PORT, '0.0.0.0', () => console.log(`MCP Server running on PORT ${PORT}`));
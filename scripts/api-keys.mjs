@@ -0,0 +1,45 @@
+// Manage per-client API keys in the key store configured by MCP_KEY_STORE / MCP_KEY_STORE_PATH (see .env).
+// Usage:
+//   node scripts/api-keys.mjs create <id> <scopes> [expires] [description]   scopes: comma list of search,quote,admin
+//                                                                          expires: ISO date or duration (90d, 12h)
+//   node scripts/api-keys.mjs list
+//   node scripts/api-keys.mjs revoke <id>
+//   node scripts/api-keys.mjs delete <id>
+// The token printed by create is shown once; only its hash is stored.
+import 'dotenv/config';
+import { createApiKey, listApiKeys, revokeApiKey, deleteApiKey } from '../src/api-keys.mjs';
+
+const [command, id, scopes, expires, ...description] = process.argv.slice(2);
+
+try {
+    switch (command) {
+        case 'create': {
+            const { key, token } = await createApiKey({
+                id,
+                scopes: (scopes || '').split(',').map((s) => s.trim()).filter(Boolean),
+                expires: expires || undefined,
+                description: description.join(' ') || undefined,
+            });
+            console.log(JSON.stringify(key, null, 2));
+            console.log(`\nToken (shown once): ${token}`);
+            break;
+        }
+        case 'list':
+            for (const key of await listApiKeys()) {
+                console.log([key.id, key.status, key.scopes.join(','), key.expires_at || 'no expiry', key.description || ''].join('\t'));
+            }
+            break;
+        case 'revoke':
+            console.log(JSON.stringify(await revokeApiKey(id), null, 2));
+            break;
+        case 'delete':
+            await deleteApiKey(id);
+            break;
+        default:
+            console.error('Usage: node scripts/api-keys.mjs create <id> <scopes> [expires] [description] | list | revoke <id> | delete <id>');
+            process.exit(2);
+    }
+} catch (err) {
+    console.error(err?.message || err);
+    process.exit(1);
+}
@@ -0,0 +1,24 @@
+// Mint an access token with the built-in OAuth signing key (OAUTH_SIGNING_KEY_FILE, generated if missing), for
+// local tests of OAUTH_MODE=builtin without the browser flow. Uses OAUTH_ISSUER / OAUTH_RESOURCE from .env.
+// Usage:
+//   node scripts/oauth-token.mjs <key id> <scopes> [ttl seconds]   key id: an active API key (or mcp_token)
+//   node scripts/oauth-token.mjs jwks                               print the public JWKS
+import 'dotenv/config';
+import { getSigningKey, signAccessToken, OAUTH_ISSUER, OAUTH_RESOURCE } from '../src/oauth.mjs';
+
+const [sub, scopes, ttl] = process.argv.slice(2);
+
+if (sub === 'jwks') {
+    console.log(JSON.stringify({ keys: [(await getSigningKey()).publicJwk] }, null, 2));
+} else if (!sub || !scopes) {
+    console.error('Usage: node scripts/oauth-token.mjs <key id> <scopes> [ttl seconds] | jwks');
+    process.exit(2);
+} else {
+    const { access_token, claims } = await signAccessToken({
+        sub,
+        scopes: scopes.split(',').map((s) => s.trim()).filter(Boolean),
+        ...(Number(ttl) > 0 ? { ttl: Number(ttl) } : {}),
+    });
+    console.error(`iss ${OAUTH_ISSUER}, aud ${OAUTH_RESOURCE}, expires ${new Date(claims.exp * 1000).toISOString()}`);
+    console.log(access_token);
+}
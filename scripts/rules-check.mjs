@@ -0,0 +1,64 @@
+// Evaluate the pre-quote rules (quote_validate) against fixture documents, without Typesense.
+// Usage: node scripts/rules-check.mjs [documents.json] [answers.json] [quantity]
+//   no arguments    run every case in scripts/fixtures/rules-cases.json against its expected outcome (npm test)
+//   documents.json  array of raw Typesense documents, one quote line each ("": scripts/fixtures/rules-products.json)
+//   answers.json    { "<question id>": answer } as passed to quote_validate
+import { isDeepStrictEqual } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { normalizeProduct } from '../src/products.mjs';
+import { evaluateRules } from '../src/rules.mjs';
+
+const readJson = async (path) => JSON.parse(await readFile(path, 'utf8'));
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function check(docs, answers = {}, quantity = 1) {
+    const lines = docs.map((doc, i) => ({
+        line_id: `L${i + 1}`,
+        product: normalizeProduct(doc, { quantity, index: i, detail: 'full' }),
+        quantity,
+    }));
+    return evaluateRules(lines, { answers });
+}
+
+// The parts of a result a case asserts on; a case only lists the ones it cares about
+const summarize = (result) => ({
+    ready: result.ready,
+    questions: result.questions.map((q) => q.id),
+    warnings: result.warnings.map((w) => w.code),
+    mandatory_additions: result.mandatory_additions.map((a) => a.sku),
+    answered: result.answered.map((a) => a.id),
+});
+
+async function runCases() {
+    const products = await readJson(fixture('rules-products.json'));
+    const cases = await readJson(fixture('rules-cases.json'));
+    let failed = 0;
+    for (const { name, products: ids, answers, quantity, expect } of cases) {
+        const docs = ids.map((id) => products.find((p) => p.objectID === id));
+        if (docs.some((doc) => !doc)) throw new Error(`${name}: unknown product in ${JSON.stringify(ids)}`);
+        const summary = summarize(check(docs, answers, quantity));
+        const actual = Object.fromEntries(Object.keys(expect).map((k) => [k, summary[k]]));
+        if (isDeepStrictEqual(actual, expect)) {
+            console.log('ok -', name);
+        } else {
+            failed++;
+            console.log('not ok -', name);
+            console.log('  expected', JSON.stringify(expect));
+            console.log('  actual  ', JSON.stringify(actual));
+        }
+    }
+    console.log(`${cases.length - failed}/${cases.length} cases passed`);
+    return failed === 0;
+}
+
+if (process.argv.length <= 2) {
+    process.exit((await runCases()) ? 0 : 1);
+}
+
+const [docsPath, answersPath, qty] = process.argv.slice(2);
+const docs = await readJson(docsPath || fixture('rules-products.json'));
+const answers = answersPath ? await readJson(answersPath) : {};
+const result = check(docs, answers, Number(qty) || 1);
+console.log(JSON.stringify(result, null, 2));
+process.exit(result.ready ? 0 : 1);
@@ -10,7 +10,7 @@ ws.on('open', () => {
     // tools/list
     ws.send(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} }));
     // tools/call ping
-    ws.send(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'ping', arguments: { message: 'hello' } } }));
+    ws.send(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'ping', arguments: { status: 'hello' } } }));
 });
 
 ws.on('message', (data) => {
@@ -0,0 +1,149 @@
+// Per-client API keys: named, scoped, expiring and revocable credentials for the HTTP and WebSocket endpoints.
+// Keys are documents in a store (MCP_KEY_STORE=file|sqlite|memory, MCP_KEY_STORE_PATH; default file under data/)
+// holding only a SHA-256 hash of the secret. Tokens read qiq_<key id>_<secret>, so a lookup is one get().
+//
+// Scopes: search (catalog, scoring, BOQ and bundle tools), quote (quote tools and exports), admin (Typesense
+// config and health, synonyms, MPN aliases, API keys, audit log). A key carries any combination; MCP_TOKEN, when
+// set, still authenticates as the built-in key "mcp_token" with every scope.
+import { createStore, STORE_KINDS } from './stores.mjs';
+
+export const SCOPES = ['search', 'quote', 'admin'];
+
+const sanitize = (v) => (v ?? '').toString().trim();
+
+const KEY_STORE_KIND = STORE_KINDS.includes(sanitize(process.env.MCP_KEY_STORE)) ? sanitize(process.env.MCP_KEY_STORE) : 'file';
+// Other credential stores (OAuth clients and grants) live next to the keys
+export const createKeyStore = (name) => createStore({ kind: KEY_STORE_KIND, path: sanitize(process.env.MCP_KEY_STORE_PATH) || undefined, name });
+const keyStore = createKeyStore('api_keys');
+const LEGACY_TOKEN = sanitize(process.env.MCP_TOKEN);
+const LEGACY_KEY_ID = 'mcp_token';
+// How long "does the store hold any key" is cached; changes made through this module apply at once
+const KEY_COUNT_TTL_MS = 30000;
+
+const KEY_ID_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const TOKEN_RE = /^qiq_([a-z0-9][a-z0-9-]{0,39})_([0-9a-f]{48})$/;
+
+export const apiKeySchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string', enum: SCOPES } },
+        description: { type: 'string' },
+        created_at: { type: 'string' },
+        expires_at: { type: 'string' },
+        revoked_at: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+    },
+    required: ['id', 'scopes', 'created_at', 'status'],
+};
+
+const toHex = (buf) => Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, '0')).join('');
+const hashSecret = async (secret) => `sha256:${toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret)))}`;
+
+// Constant-time string comparison (both sides are hashes or tokens of known shape)
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+const keyStatus = (key, now = Date.now()) => {
+    if (key.revoked_at) return 'revoked';
+    if (key.expires_at && Date.parse(key.expires_at) <= now) return 'expired';
+    return 'active';
+};
+
+// Stored record → what may be shown (never the hash)
+const publicKey = ({ secret_hash, ...key }) => ({ ...key, status: keyStatus(key) });
+
+let keyCount;
+async function countKeys() {
+    if (!keyCount || keyCount.at < Date.now() - KEY_COUNT_TTL_MS) {
+        keyCount = { at: Date.now(), count: (await keyStore.list()).length };
+    }
+    return keyCount.count;
+}
+
+// True when requests must carry a key: MCP_TOKEN is set or the store holds at least one key
+export async function authRequired() {
+    return Boolean(LEGACY_TOKEN) || (await countKeys()) > 0;
+}
+
+// Token → { key_id, scopes }, or undefined when it is unknown, expired or revoked
+export async function authenticate(token) {
+    const value = sanitize(token);
+    if (!value) return undefined;
+    if (LEGACY_TOKEN && safeEqual(value, LEGACY_TOKEN)) return { key_id: LEGACY_KEY_ID, scopes: [...SCOPES] };
+    const m = value.match(TOKEN_RE);
+    if (!m) return undefined;
+    const key = await keyStore.get(m[1]);
+    if (!key || !safeEqual(await hashSecret(m[2]), key.secret_hash) || keyStatus(key) !== 'active') return undefined;
+    return { key_id: key.id, scopes: key.scopes };
+}
+
+// Key id → { key_id, scopes } while the key is active (used to re-check keys behind OAuth grants)
+export async function getActiveKey(id) {
+    if (id === LEGACY_KEY_ID) return LEGACY_TOKEN ? { key_id: LEGACY_KEY_ID, scopes: [...SCOPES] } : undefined;
+    const key = KEY_ID_RE.test(String(id)) ? await keyStore.get(id) : undefined;
+    return key && keyStatus(key) === 'active' ? { key_id: key.id, scopes: key.scopes } : undefined;
+}
+
+// expires: ISO date/time, or a duration such as 90d / 12h
+export function parseExpiry(expires, now = Date.now()) {
+    if (!expires) return undefined;
+    const rel = String(expires).match(/^(\d+)([dh])$/);
+    const at = rel ? now + Number(rel[1]) * (rel[2] === 'd' ? 86400000 : 3600000) : Date.parse(expires);
+    if (!Number.isFinite(at)) throw new Error(`Invalid expiry "${expires}" (use an ISO date or a duration like 90d)`);
+    if (at <= now) throw new Error(`Expiry "${expires}" is in the past`);
+    return new Date(at).toISOString();
+}
+
+// Create a key; the token is returned once and cannot be recovered later
+export async function createApiKey({ id, scopes, description, expires } = {}) {
+    const keyId = sanitize(id).toLowerCase();
+    if (!KEY_ID_RE.test(keyId) || keyId === LEGACY_KEY_ID) throw new Error(`Invalid key id "${id}" (lowercase letters, digits and dashes, up to 40)`);
+    const list = [...new Set(scopes || [])];
+    if (!list.length) throw new Error(`A key needs at least one scope (${SCOPES.join(', ')})`);
+    const unknown = list.filter((s) => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`Unknown scope(s) ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+    if (await keyStore.get(keyId)) throw new Error(`Key "${keyId}" already exists`);
+
+    const secret = toHex(crypto.getRandomValues(new Uint8Array(24)));
+    const key = {
+        id: keyId,
+        scopes: list,
+        ...(description ? { description } : {}),
+        created_at: new Date().toISOString(),
+        ...(expires ? { expires_at: parseExpiry(expires) } : {}),
+        secret_hash: await hashSecret(secret),
+    };
+    await keyStore.put(keyId, key);
+    keyCount = undefined;
+    console.log('[AUTH] Created API key', keyId, 'with scopes', list.join(','));
+    return { key: publicKey(key), token: `qiq_${keyId}_${secret}` };
+}
+
+export async function listApiKeys() {
+    return (await keyStore.list()).map(publicKey).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Revoked keys stay listed (with revoked_at) until deleted
+export async function revokeApiKey(id) {
+    const key = await keyStore.get(sanitize(id));
+    if (!key) throw new Error(`Key "${id}" not found`);
+    if (!key.revoked_at) {
+        key.revoked_at = new Date().toISOString();
+        await keyStore.put(key.id, key);
+        console.log('[AUTH] Revoked API key', key.id);
+    }
+    return publicKey(key);
+}
+
+export async function deleteApiKey(id) {
+    const deleted = await keyStore.delete(sanitize(id));
+    if (!deleted) throw new Error(`Key "${id}" not found`);
+    keyCount = undefined;
+    console.log('[AUTH] Deleted API key', id);
+    return true;
+}
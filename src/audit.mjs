@@ -0,0 +1,280 @@
+// Audit log of tools/call: who called which tool with what arguments, how it went and how long it took.
+//   AUDIT_LOG             jsonl (default) | sqlite | off
+//   AUDIT_LOG_PATH        jsonl: directory of audit-YYYY-MM-DD[.N].jsonl files (default data/audit)
+//                         sqlite: database file, table audit_log (default data/qiq.sqlite; Node 22.13+)
+//   AUDIT_MAX_FILE_MB     jsonl files roll over within a day past this size (default 50)
+//   AUDIT_RETENTION_DAYS  older files / rows are deleted (default 90, 0 keeps everything)
+//   AUDIT_REDACT_KEYS     extra argument names to redact, comma-separated
+// Argument values under secret-looking names (apiKey, token, password, ...) are replaced with "[REDACTED]" and
+// long strings are cut, so pasted BOQ files do not bloat the log. Writes are queued and never fail a call;
+// errors are logged. Node modules are imported lazily; the Edge runtime has no file system, so set AUDIT_LOG=off there.
+
+const sanitize = (v) => (v ?? '').toString().trim();
+
+export const AUDIT_SINKS = ['jsonl', 'sqlite', 'off'];
+export const AUDIT_STATUSES = ['ok', 'error', 'rejected'];
+
+const SINK = AUDIT_SINKS.includes(sanitize(process.env.AUDIT_LOG)) ? sanitize(process.env.AUDIT_LOG) : 'jsonl';
+const LOG_PATH = sanitize(process.env.AUDIT_LOG_PATH) || (SINK === 'sqlite' ? 'data/qiq.sqlite' : 'data/audit');
+const MAX_FILE_BYTES = (Number(process.env.AUDIT_MAX_FILE_MB) > 0 ? Number(process.env.AUDIT_MAX_FILE_MB) : 50) * 1024 * 1024;
+const RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS ?? 90);
+const MAX_STRING = 2000;
+const DAY_MS = 86400000;
+
+const SECRET_KEY_RE = /(api[_-]?key|token|secret|password|passwd|authorization|credential|private[_-]?key)/i;
+const EXTRA_SECRET_KEYS = new Set(sanitize(process.env.AUDIT_REDACT_KEYS).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean));
+const isSecretKey = (key) => SECRET_KEY_RE.test(key) || EXTRA_SECRET_KEYS.has(key.toLowerCase());
+
+export const auditEntrySchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        ts: { type: 'string' },
+        tool: { type: 'string' },
+        key_id: { type: 'string' },
+        client_id: { type: 'string' },
+        session_id: { type: 'string' },
+        ip: { type: 'string' },
+        request_id: { type: 'string' },
+        quote_id: { type: 'string' },
+        args: {},
+        status: { type: 'string', enum: AUDIT_STATUSES },
+        error: { type: 'string' },
+        error_code: { type: 'number' },
+        duration_ms: { type: 'number' },
+        result_bytes: { type: 'number' },
+        degraded: { type: 'boolean' },
+    },
+    required: ['id', 'ts', 'tool', 'status', 'duration_ms', 'result_bytes', 'degraded'],
+};
+
+// Copy of the arguments that is safe to keep: secrets replaced, long strings truncated
+export function redactArgs(value, key = '') {
+    if (key && isSecretKey(key) && value !== undefined && value !== null && value !== '') return '[REDACTED]';
+    if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…(+${value.length - MAX_STRING} chars)` : value;
+    if (Array.isArray(value)) return value.map((v) => redactArgs(v));
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactArgs(v, k)]));
+    return value;
+}
+
+const byteLength = (value) => (value === undefined ? 0 : new TextEncoder().encode(JSON.stringify(value)).length);
+
+// tools/call request + its JSON-RPC response → audit entry
+export function buildAuditEntry({ params, ctx = {}, response, startedAt }) {
+    const args = params?.arguments ?? {};
+    const result = response?.result;
+    const structured = result?.structuredContent;
+    const entry = {
+        id: crypto.randomUUID(),
+        ts: new Date(startedAt).toISOString(),
+        tool: String(params?.name ?? ''),
+        ...(ctx.auth?.key_id ? { key_id: ctx.auth.key_id } : {}),
+        ...(ctx.auth?.client_id ? { client_id: String(ctx.auth.client_id) } : {}),
+        ...(ctx.sessionId ? { session_id: ctx.sessionId } : {}),
+        ...(ctx.ip ? { ip: ctx.ip } : {}),
+        ...(response?.id !== undefined && response?.id !== null ? { request_id: String(response.id) } : {}),
+        args: redactArgs(args),
+        status: 'ok',
+        duration_ms: Date.now() - startedAt,
+        result_bytes: byteLength(result),
+        degraded: structured?.degraded === true,
+    };
+    // Quote tools take quote_id; quote_create returns the new id
+    const quoteId = typeof args.quote_id === 'string' ? args.quote_id : structured?.quote?.id;
+    if (typeof quoteId === 'string') entry.quote_id = quoteId;
+    if (response?.error) {
+        entry.status = 'rejected';
+        entry.error = response.error.message;
+        entry.error_code = response.error.code;
+    } else if (result?.isError) {
+        entry.status = 'error';
+        entry.error = result.content?.[0]?.text || 'Tool failed';
+    }
+    return entry;
+}
+
+// --- Sinks: append(entry), query(filters) → entries ---
+
+const dayOf = (ts) => ts.slice(0, 10);
+
+function createJsonlSink(dir) {
+    let modules;
+    const load = async () => {
+        modules ||= Promise.all([import('node:fs/promises'), import('node:path')]).then(async ([fs, p]) => {
+            await fs.mkdir(dir, { recursive: true });
+            return { fs, p };
+        });
+        return modules;
+    };
+    // audit-2025-01-31.jsonl, then audit-2025-01-31.1.jsonl, .2, ... once a file passes MAX_FILE_BYTES
+    const FILE_RE = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+    let current = { day: undefined, part: 0, bytes: 0 };
+
+    async function listFiles() {
+        const { fs } = await load();
+        return (await fs.readdir(dir))
+            .map((name) => ({ name, m: name.match(FILE_RE) }))
+            .filter(({ m }) => m)
+            .map(({ name, m }) => ({ name, day: m[1], part: Number(m[2] || 0) }))
+            .sort((a, b) => a.day.localeCompare(b.day) || a.part - b.part);
+    }
+
+    async function prune(today) {
+        if (!(RETENTION_DAYS > 0)) return;
+        const { fs, p } = await load();
+        const cutoff = dayOf(new Date(Date.parse(today) - RETENTION_DAYS * DAY_MS).toISOString());
+        for (const file of await listFiles()) {
+            if (file.day < cutoff) await fs.unlink(p.join(dir, file.name)).catch(() => { });
+        }
+    }
+
+    return {
+        kind: 'jsonl',
+        async append(entry) {
+            const { fs, p } = await load();
+            const line = `${JSON.stringify(entry)}\n`;
+            const size = Buffer.byteLength(line);
+            const day = dayOf(entry.ts);
+            if (current.day !== day) {
+                // New day (or first write): continue the newest part of today, and drop expired files
+                const parts = (await listFiles()).filter((f) => f.day === day);
+                const last = parts[parts.length - 1];
+                const name = last?.name || `audit-${day}.jsonl`;
+                const bytes = await fs.stat(p.join(dir, name)).then((s) => s.size, () => 0);
+                current = { day, part: last?.part || 0, bytes };
+                await prune(day);
+            }
+            if (current.bytes && current.bytes + size > MAX_FILE_BYTES) current = { day, part: current.part + 1, bytes: 0 };
+            const name = current.part ? `audit-${day}.${current.part}.jsonl` : `audit-${day}.jsonl`;
+            await fs.appendFile(p.join(dir, name), line);
+            current.bytes += size;
+        },
+        async query(filters) {
+            const { fs, p } = await load();
+            const fromDay = filters.from ? dayOf(filters.from) : '';
+            const toDay = filters.to ? dayOf(filters.to) : '9999-12-31';
+            let files = (await listFiles()).filter((f) => f.day >= fromDay && f.day <= toDay);
+            if (filters.order === 'desc') files = files.reverse();
+            const out = [];
+            // Read file by file (newest first for desc) and stop once one more match than asked for is found
+            for (const file of files) {
+                const text = await fs.readFile(p.join(dir, file.name), 'utf8').catch(() => '');
+                let entries = text.split('\n').filter(Boolean).map((line) => {
+                    try { return JSON.parse(line); } catch { return undefined; }
+                }).filter((e) => e && matchesFilters(e, filters));
+                if (filters.order === 'desc') entries = entries.reverse();
+                out.push(...entries);
+                if (out.length > filters.limit) break;
+            }
+            return out;
+        },
+    };
+}
+
+function createSqliteSink(path) {
+    let ready;
+    const db = async () => {
+        ready ||= (async () => {
+            let sqlite;
+            try {
+                sqlite = await import('node:sqlite');
+            } catch {
+                throw new Error('AUDIT_LOG=sqlite requires Node 22.13+ (node:sqlite is not available in this runtime)');
+            }
+            const { dirname } = await import('node:path');
+            const { mkdir } = await import('node:fs/promises');
+            await mkdir(dirname(path), { recursive: true });
+            const conn = new sqlite.DatabaseSync(path);
+            conn.exec('CREATE TABLE IF NOT EXISTS audit_log (id TEXT PRIMARY KEY, ts TEXT NOT NULL, tool TEXT NOT NULL, key_id TEXT, '
+                + 'session_id TEXT, quote_id TEXT, status TEXT NOT NULL, data TEXT NOT NULL)');
+            conn.exec('CREATE INDEX IF NOT EXISTS audit_log_ts ON audit_log (ts)');
+            conn.exec('CREATE INDEX IF NOT EXISTS audit_log_tool_ts ON audit_log (tool, ts)');
+            conn.exec('CREATE INDEX IF NOT EXISTS audit_log_key_ts ON audit_log (key_id, ts)');
+            return conn;
+        })();
+        return ready;
+    };
+    let prunedDay;
+    return {
+        kind: 'sqlite',
+        async append(entry) {
+            const conn = await db();
+            conn.prepare('INSERT INTO audit_log (id, ts, tool, key_id, session_id, quote_id, status, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+                .run(entry.id, entry.ts, entry.tool, entry.key_id ?? null, entry.session_id ?? null, entry.quote_id ?? null, entry.status, JSON.stringify(entry));
+            if (RETENTION_DAYS > 0 && prunedDay !== dayOf(entry.ts)) {
+                prunedDay = dayOf(entry.ts);
+                conn.prepare('DELETE FROM audit_log WHERE ts < ?').run(new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString());
+            }
+        },
+        async query(filters) {
+            const where = [];
+            const values = [];
+            const add = (sql, value) => { where.push(sql); values.push(value); };
+            if (filters.from) add('ts >= ?', filters.from);
+            if (filters.to) add('ts <= ?', filters.to);
+            if (filters.tools) {
+                where.push(`tool IN (${filters.tools.map(() => '?').join(', ')})`);
+                values.push(...filters.tools);
+            }
+            for (const field of ['key_id', 'session_id', 'quote_id', 'status']) {
+                if (filters[field]) add(`${field} = ?`, filters[field]);
+            }
+            const sql = `SELECT data FROM audit_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''} `
+                + `ORDER BY ts ${filters.order === 'desc' ? 'DESC' : 'ASC'} LIMIT ?`;
+            return (await db()).prepare(sql).all(...values, filters.limit + 1).map((r) => JSON.parse(r.data));
+        },
+    };
+}
+
+function matchesFilters(entry, filters) {
+    if (filters.from && entry.ts < filters.from) return false;
+    if (filters.to && entry.ts > filters.to) return false;
+    if (filters.tools && !filters.tools.includes(entry.tool)) return false;
+    return ['key_id', 'session_id', 'quote_id', 'status'].every((field) => !filters[field] || entry[field] === filters[field]);
+}
+
+const sink = SINK === 'jsonl' ? createJsonlSink(LOG_PATH) : SINK === 'sqlite' ? createSqliteSink(LOG_PATH) : undefined;
+// Writes run one after another, so files roll over cleanly and a query sees every finished call
+let queue = Promise.resolve();
+let failing = false;
+
+// Queue an entry; resolves when it is written (callers need not wait)
+export function recordAudit(entry) {
+    if (!sink) return Promise.resolve();
+    queue = queue.then(() => sink.append(entry)).then(() => {
+        if (failing) console.log('[AUDIT] Writing again');
+        failing = false;
+    }, (err) => {
+        // Log the first failure of a streak only, not one line per call
+        if (!failing) console.error('[AUDIT] Cannot write the audit log:', err?.message || err);
+        failing = true;
+    });
+    return queue;
+}
+
+// ISO date/time, or a duration back from now such as 30m, 24h or 7d
+export function parseAuditTime(value, now = Date.now()) {
+    if (!value) return undefined;
+    const rel = String(value).match(/^(\d+)([mhd])$/);
+    const at = rel ? now - Number(rel[1]) * { m: 60000, h: 3600000, d: DAY_MS }[rel[2]] : Date.parse(value);
+    if (!Number.isFinite(at)) throw new Error(`Invalid time "${value}" (use an ISO date/time or a duration like 24h)`);
+    return new Date(at).toISOString();
+}
+
+// Filters: from/to (ISO or 24h-style), tool (name or list), key_id, session_id, quote_id, status,
+// order asc|desc (default desc), limit (default 100, max 1000)
+export async function queryAudit({ from, to, tool, key_id, session_id, quote_id, status, order = 'desc', limit = 100 } = {}) {
+    if (!sink) throw new Error('The audit log is off (AUDIT_LOG=off)');
+    const filters = {
+        from: parseAuditTime(from),
+        to: parseAuditTime(to),
+        tools: tool ? [].concat(tool) : undefined,
+        key_id, session_id, quote_id, status,
+        order: order === 'asc' ? 'asc' : 'desc',
+        limit: Math.min(Math.max(Math.floor(Number(limit) || 100), 1), 1000),
+    };
+    if (filters.from && filters.to && filters.from > filters.to) throw new Error('"from" must be before "to"');
+    await queue;
+    const entries = await sink.query(filters);
+    return { entries: entries.slice(0, filters.limit), truncated: entries.length > filters.limit, sink: sink.kind };
+}
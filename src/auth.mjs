@@ -0,0 +1,29 @@
+// Credential check shared by every transport: the Express routes and WebSocket server of run.mjs, the standalone
+// WebSocket server (scripts/mcp-server.js) and Vercel Edge (api/mcp.js). Credentials come from
+// `Authorization: Bearer` or `X-Access-Token`, never the query string (it ends up in access logs): an API key
+// (src/api-keys.mjs), or with OAUTH_MODE a JWT access token (src/oauth.mjs).
+import { authRequired, authenticate } from './api-keys.mjs';
+import { oauthEnabled, looksLikeJwt, verifyAccessToken } from './oauth.mjs';
+
+// What an unauthenticated caller gets while auth is enforced: no scopes, so only unscoped tools (ping)
+export const NO_AUTH = Object.freeze({ scopes: Object.freeze([]) });
+
+// True when callers must present credentials: MCP_TOKEN is set, the key store holds a key, or OAuth is on
+export async function authEnforced() {
+    return oauthEnabled || (await authRequired());
+}
+
+// Node's header object or a fetch Headers
+const header = (headers, name) => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) || undefined;
+
+// Resolves to { ok, auth, token }; auth ({ key_id, scopes }) is undefined when auth is off
+export async function authorizeRequest(req) {
+    if (!(await authEnforced())) return { ok: true };
+    const hdr = header(req.headers, 'authorization') || '';
+    const token = hdr.startsWith('Bearer ') ? hdr.slice(7) : header(req.headers, 'x-access-token');
+    if (!token && new URL(req.url || '/', 'http://localhost').searchParams.has('token')) {
+        console.warn('[AUTH] Rejected ?token= credentials; send an Authorization: Bearer header instead');
+    }
+    const auth = oauthEnabled && looksLikeJwt(token) ? await verifyAccessToken(token) : await authenticate(token);
+    return { ok: Boolean(auth), auth, token };
+}
@@ -0,0 +1,300 @@
+// BOQ / RFQ parsing: pasted text, CSV or XLSX → line items with part numbers, quantities,
+// license durations and category hints, each carrying a ready-to-use typesense_search input.
+import { readXlsx } from './xlsx.mjs';
+
+export const BOQ_FORMATS = ['auto', 'text', 'csv', 'xlsx'];
+const MAX_LINES = 500;
+
+// Best-effort category hints from line wording; boq_resolve drops the category filter when it matches nothing
+const CATEGORY_HINTS = [
+    // Firewall first: "جدار حماية" (firewall) also contains the generic "protection"
+    [/\b(firewall|fortigate|utm|ngfw|palo alto|checkpoint|check point)\b|جدار/i, 'firewall'],
+    [/\b(edr|xdr|mdr|antivirus|anti-virus|endpoint|email security|kaspersky|sophos|eset|crowdstrike|sentinelone)\b|حماية/i, 'security_software'],
+    [/\b(switch(es)?|fortiswitch|catalyst)\b|سويتش/i, 'switches'],
+    [/\b(access points?|wifi|wi-fi|wireless|fortiap)\b|لاسلكي/i, 'wireless'],
+    [/\b(routers?)\b|راوتر/i, 'routers'],
+    [/\b(servers?|poweredge|proliant)\b|خادم|سيرفر/i, 'servers'],
+    [/\b(storage|nas|san|hard drive|ssd|hdd)\b|تخزين/i, 'storage'],
+    [/\b(microsoft 365|office 365|m365|windows|office)\b/i, 'software'],
+    [/\b(cables?|sfp\+?|transceivers?|rack kits?|rack mount|power supply|psu)\b|كابل/i, 'accessories'],
+];
+
+const HEADER_SYNONYMS = {
+    part_number: ['part number', 'part no', 'part #', 'pn', 'p/n', 'mpn', 'sku', 'item code', 'product code', 'model', 'model number',
+        'vendor part', 'manufacturer part number', 'رقم القطعة', 'رقم المنتج', 'الموديل'],
+    description: ['description', 'item', 'product', 'product name', 'name', 'item description', 'details', 'الوصف', 'المنتج', 'البند'],
+    quantity: ['qty', 'quantity', 'units', 'seats', 'users', 'licenses', 'licences', 'count', 'الكمية', 'العدد'],
+    duration: ['years', 'term', 'duration', 'period', 'subscription', 'license term', 'المدة', 'السنوات'],
+    category: ['category', 'type', 'product type', 'الفئة', 'النوع'],
+    brand: ['brand', 'vendor', 'manufacturer', 'make', 'العلامة التجارية', 'الشركة'],
+};
+
+const normHeader = (s) => String(s ?? '').toLowerCase().replace(/[_.:]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Column index per field; when several columns match a field, the one matching an earlier synonym wins
+// (so "Description" beats an "Item" numbering column)
+function headerColumns(row) {
+    const best = {};
+    row.forEach((cell, i) => {
+        const h = normHeader(cell);
+        if (!h) return;
+        for (const [key, names] of Object.entries(HEADER_SYNONYMS)) {
+            const rank = names.findIndex((n) => h === n || (n.length > 3 && h.startsWith(n)));
+            if (rank < 0) continue;
+            if (!best[key] || rank < best[key].rank) best[key] = { col: i, rank };
+            return;
+        }
+    });
+    return Object.fromEntries(Object.entries(best).map(([key, { col }]) => [key, col]));
+}
+
+// RFC 4180 with the delimiter (comma, semicolon or tab) guessed from the first line
+export function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length]).sort((a, b) => b[1] - a[1])[0][0];
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; } else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') quoted = true;
+        else if (ch === delimiter) { row.push(cell); cell = ''; } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else cell += ch;
+    }
+    if (cell !== '' || row.length) rows.push([...row, cell]);
+    return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+// --- Field extraction from free text ---
+
+const QTY_PATTERNS = [
+    /\b(?:qty|quantity|units?)\s*[:=]?\s*(\d+)\b/i,
+    /(?:^|\s)x\s*(\d+)\b/i,
+    /\b(\d+)\s*(?:x|pcs?|pieces|units?|nos?|licen[cs]es?|users?|seats?|nodes?|devices?|endpoints?|mailboxes|ea)\b/i,
+    /(?:الكمية|العدد|عدد)\s*[:：]?\s*(\d+)/,
+    /(\d+)\s*(?:رخصة|رخص|مستخدم|مستخدمين|جهاز|أجهزة|قطعة|قطع)/,
+];
+
+function extractQuantity(text) {
+    for (const re of QTY_PATTERNS) {
+        const m = re.exec(text);
+        if (m) return Number(m[1]);
+    }
+    return undefined;
+}
+
+function extractDuration(text) {
+    let m = /(\d+(?:\.\d+)?)\s*-?\s*(?:years?|yrs?|y)\b/i.exec(text);
+    if (m) return Number(m[1]);
+    m = /(\d+)\s*-?\s*(?:months?|mos?)\b/i.exec(text);
+    if (m) return Math.round((Number(m[1]) / 12) * 100) / 100;
+    m = /(\d+)\s*(?:سنوات|سنة|سنين|أعوام|عام)/.exec(text);
+    if (m) return Number(m[1]);
+    if (/سنتين|عامين/.test(text)) return 2;
+    if (/\b(annual|yearly)\b|سنوي|لمدة سنة|لمدة عام/i.test(text)) return 1;
+    return undefined;
+}
+
+// Uppercase letters + digits, 5+ characters (KL4066IAVFS, FS-108F-FPOE, FG-60F-BDL-950-12),
+// minus quantity/term tokens such as 3YR, 36M or X25
+const PART_RE = /(?<![A-Za-z0-9])[A-Z0-9][A-Z0-9._/-]{3,}[A-Z0-9](?![A-Za-z0-9])/g;
+const NOT_PART_RE = /^(\d+(?:Y|YR|YRS|M|MO|MOS|X|PCS)|X\d+)$/i;
+
+function extractPartNumbers(text) {
+    const found = (text.match(PART_RE) || []).filter((t) => /\d/.test(t) && /[A-Z]/.test(t) && !NOT_PART_RE.test(t));
+    return [...new Set(found)];
+}
+
+const categoryHint = (text) => CATEGORY_HINTS.find(([re]) => re.test(text))?.[1];
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'of', 'to', 'a', 'an', 'or', 'in', 'on', 'per', 'year', 'years', 'yr', 'yrs',
+    'month', 'months', 'qty', 'quantity', 'units', 'unit', 'pcs', 'license', 'licenses', 'licence', 'licences', 'users', 'user', 'seats',
+    'subscription', 'x', 'ea', 'nos', 'no', 'please', 'quote', 'need', 'required', 'supply', 'من', 'مع', 'لمدة', 'على', 'في', 'عدد',
+    'الكمية', 'سنة', 'سنتين', 'سنوات']);
+
+// Search terms: part numbers first, then the meaningful words of the description
+function keywordsFor(description, partNumbers, brand) {
+    if (partNumbers.length) return partNumbers;
+    const words = String(description)
+        .replace(/[^\p{L}\p{N}\s+-]/gu, ' ')
+        .split(/\s+/)
+        .filter((w) => /[\p{L}\p{N}]/u.test(w) && !/^\d+$/.test(w) && !STOPWORDS.has(w.toLowerCase()) && !NOT_PART_RE.test(w));
+    return [...new Set([...(brand ? [brand] : []), ...words])].slice(0, 8);
+}
+
+// Totals, and headings such as "RFQ - please quote:"
+const looksLikeTotalOrHeader = (text) => /^(sub)?total\b|^grand total|^الإجمالي|^المجموع/i.test(text.trim()) || /[:：]$/.test(text.trim());
+
+function buildLine(n, { text, partNumbers = [], description, quantity, duration, category, brand }, defaults) {
+    const parts = [...new Set([...partNumbers, ...extractPartNumbers(text)])];
+    const qty = quantity ?? extractQuantity(text);
+    const years = duration ?? extractDuration(text);
+    const hint = category || categoryHint(text);
+    const line = {
+        line: n,
+        source_text: text,
+        description: description || text,
+        part_numbers: parts,
+        quantity: qty ?? 1,
+        quantity_assumed: qty === undefined,
+        duration_years: years ?? defaults.duration_years ?? null,
+    };
+    if (brand) line.brand = brand;
+    if (hint) line.category_hint = hint;
+    line.search = {
+        category: hint || defaults.category || '',
+        keywords: keywordsFor(description || text, parts, brand),
+        quantity: line.quantity,
+        duration_years: line.duration_years,
+    };
+    return line;
+}
+
+function linesFromText(text, defaults) {
+    const lines = [];
+    for (const raw of text.split(/\r?\n/)) {
+        const t = raw.replace(/^\s*(?:[-*•·]|\(?\d+[.)]|\d+\s*-)\s+/, '').trim();
+        if (!t || looksLikeTotalOrHeader(t) || !/[\p{L}]/u.test(t)) continue;
+        lines.push(buildLine(lines.length + 1, { text: t }, defaults));
+    }
+    return lines;
+}
+
+const cellNumber = (v) => {
+    const n = Number(String(v ?? '').replace(/[^\d.]/g, ''));
+    return String(v ?? '').trim() && Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+function linesFromRows(rows, defaults) {
+    // Header row: the first of the first 10 rows naming a part number or description column plus another known column
+    let headerIdx = -1;
+    let cols = {};
+    for (let i = 0; i < Math.min(rows.length, 10); i++) {
+        const c = headerColumns(rows[i]);
+        if ((c.part_number !== undefined || c.description !== undefined) && Object.keys(c).length >= 2) {
+            headerIdx = i;
+            cols = c;
+            break;
+        }
+    }
+    // No recognizable header: treat each row as a line of text
+    if (headerIdx < 0) return linesFromText(rows.map((r) => r.filter(Boolean).join(' ')).join('\n'), defaults);
+
+    const lines = [];
+    for (const row of rows.slice(headerIdx + 1)) {
+        const get = (key) => (cols[key] === undefined ? '' : String(row[cols[key]] ?? '').trim());
+        const part = get('part_number');
+        const description = get('description');
+        const text = [part, description].filter(Boolean).join(' ');
+        if (!text || looksLikeTotalOrHeader(text)) continue;
+        const durationCell = get('duration');
+        lines.push(buildLine(lines.length + 1, {
+            text: [text, get('brand')].filter(Boolean).join(' '),
+            partNumbers: part ? [part] : [],
+            description: description || part,
+            quantity: cellNumber(get('quantity')),
+            // "3", "3 years" or "36 months"
+            duration: durationCell ? (extractDuration(durationCell) ?? cellNumber(durationCell)) : undefined,
+            category: get('category') || undefined,
+            brand: get('brand') || undefined,
+        }, defaults));
+    }
+    return lines;
+}
+
+function detectFormat(content) {
+    if (/^UEsDB/.test(content.trim())) return 'xlsx'; // base64 of a zip ("PK\x03\x04")
+    const rows = content.split(/\r?\n/).filter((l) => l.trim()).slice(0, 5);
+    const delimited = rows.length > 1 && [',', ';', '\t'].some((d) => rows.every((r) => r.split(d).length > 1));
+    return delimited ? 'csv' : 'text';
+}
+
+// content: text, CSV text or base64 XLSX. Returns { format, sheet?, sheets?, lines, truncated }
+export async function parseBoq({ content, format = 'auto', sheet, default_category, default_duration_years } = {}) {
+    const defaults = { category: default_category, duration_years: default_duration_years };
+    const fmt = format === 'auto' ? detectFormat(content) : format;
+    let result;
+    if (fmt === 'xlsx') {
+        const { sheets, name, rows } = await readXlsx(Buffer.from(content, 'base64'), { sheet });
+        result = { format: fmt, sheet: name, sheets, lines: linesFromRows(rows, defaults) };
+    } else if (fmt === 'csv') {
+        result = { format: fmt, lines: linesFromRows(parseCsv(content), defaults) };
+    } else {
+        result = { format: fmt, lines: linesFromText(content, defaults) };
+    }
+    result.truncated = result.lines.length > MAX_LINES;
+    result.lines = result.lines.slice(0, MAX_LINES);
+    return result;
+}
+
+// Resolve parsed lines against the catalog, `concurrency` lines at a time:
+// exact part-number lookup first, then the line's search (retried without the category filter
+// when the hint matches nothing). lookup(ids) and search(args) are supplied by the caller.
+export async function resolveBoq(lines, { lookup, search, concurrency = 5, onProgress } = {}) {
+    const results = new Array(lines.length);
+    let next = 0;
+    let done = 0;
+
+    const resolveLine = async (line) => {
+        const input = { line: line.line, source_text: line.source_text, quantity: line.quantity, duration_years: line.duration_years };
+        const notes = [];
+        if (line.part_numbers?.length) {
+            try {
+                const hit = (await lookup(line.part_numbers)).find((r) => r.found);
+                if (hit) return { matched: true, ...input, match: 'exact', matched_on: hit.matched_on, product: { ...hit.product, quantity: line.quantity } };
+                notes.push(`no exact match for ${line.part_numbers.join(', ')}`);
+            } catch (err) {
+                notes.push(`exact lookup failed: ${err?.message || err}`);
+            }
+        }
+        const attempt = async (args) => {
+            const out = await search({ ...args, per_page: 3 });
+            // Fabricated products are never a match
+            if (out.degraded) throw new Error(out.warning || 'search returned only mock/fallback products');
+            return out.products || [];
+        };
+        try {
+            let products = await attempt(line.search);
+            let relaxed;
+            if (!products.length && line.search.category) {
+                products = await attempt({ ...line.search, category: '' });
+                if (products.length) relaxed = ['category'];
+            }
+            if (products.length) {
+                const [product, ...alternatives] = products;
+                const match = { matched: true, ...input, match: 'search', product, alternatives };
+                if (relaxed) match.relaxed = relaxed;
+                return match;
+            }
+            notes.push('search found no products');
+        } catch (err) {
+            notes.push(`search failed: ${err?.message || err}`);
+        }
+        return { matched: false, ...input, search: line.search, reason: notes.join('; ') };
+    };
+
+    const worker = async () => {
+        while (next < lines.length) {
+            const i = next++;
+            results[i] = await resolveLine(lines[i]);
+            done++;
+            onProgress?.(done, lines.length, `Resolved line ${lines[i].line}`);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, lines.length) }, worker));
+
+    const strip = ({ matched, ...r }) => r;
+    return {
+        matched: results.filter((r) => r.matched).map(strip),
+        unmatched: results.filter((r) => !r.matched).map(strip),
+    };
+}
@@ -0,0 +1,62 @@
+// Bundle / accessory recommendations from the rules fields of the product schema:
+//   bundle_options     CSV of related SKUs to bundle with the product
+//   bundle_recommended the product's bundle is worth offering
+//   bundle_score       0–100 heuristic that the bundle is helpful (ranking)
+//   rule_tag           "always_bundle" makes the bundle (or the tagged accessory) mandatory
+
+import { bundleSkus, hasRuleTag } from './rules.mjs';
+
+const MANDATORY_TAG = 'always_bundle';
+const score = (p) => (typeof p?.bundle_score === 'number' ? p.bundle_score : -1);
+
+// bases: [{ product, quantity }] with full products (bundle fields present).
+// lookup(ids) resolves SKUs like product_get and returns [{ input, found, product }].
+// Returns { items, missing } with items ranked mandatory first, then by bundle_score.
+export async function recommendBundles(bases, { lookup }) {
+    const inBasket = new Set(bases.flatMap(({ product }) => [product.sku, product.objectID, product.vendor_mpn]
+        .filter(Boolean).map((v) => String(v).toLowerCase())));
+    // related SKU → who asked for it
+    const wanted = new Map();
+    for (const { product, quantity = 1 } of bases) {
+        for (const sku of bundleSkus(product)) {
+            if (inBasket.has(sku.toLowerCase())) continue;
+            const entry = wanted.get(sku) || { sku, for: [], quantity: 0, mandatory_for: [], base_score: -1, recommended: false };
+            entry.for.push(product.sku);
+            entry.quantity += quantity;
+            if (hasRuleTag(product, MANDATORY_TAG)) entry.mandatory_for.push(product.sku);
+            entry.base_score = Math.max(entry.base_score, score(product));
+            entry.recommended ||= product.bundle_recommended === true;
+            wanted.set(sku, entry);
+        }
+    }
+    if (!wanted.size) return { items: [], missing: [] };
+
+    const resolved = await lookup([...wanted.keys()]);
+    const items = [];
+    const missing = [];
+    for (const r of resolved) {
+        const entry = wanted.get(r.input);
+        if (!entry) continue;
+        if (!r.found) {
+            // Still reported: a missing mandatory accessory is something the rep must chase
+            missing.push({ sku: entry.sku, for: entry.for, mandatory: entry.mandatory_for.length > 0 });
+            continue;
+        }
+        const reasons = [];
+        if (entry.mandatory_for.length) reasons.push(`${entry.mandatory_for.join(', ')} must ship with its bundle (${MANDATORY_TAG})`);
+        if (hasRuleTag(r.product, MANDATORY_TAG)) reasons.push(`${r.product.sku} is tagged ${MANDATORY_TAG}`);
+        if (entry.recommended) reasons.push(`bundle recommended for ${entry.for.join(', ')}`);
+        if (!reasons.length) reasons.push(`listed in bundle_options of ${entry.for.join(', ')}`);
+        items.push({
+            ...r.product,
+            quantity: entry.quantity,
+            mandatory: entry.mandatory_for.length > 0 || hasRuleTag(r.product, MANDATORY_TAG),
+            for: entry.for,
+            // The accessory's own bundle_score, else the best score among the products it bundles with
+            rank_score: score(r.product) >= 0 ? score(r.product) : Math.max(entry.base_score, 0),
+            reasons,
+        });
+    }
+    items.sort((a, b) => Number(b.mandatory) - Number(a.mandatory) || b.rank_score - a.rank_score);
+    return { items, missing };
+}
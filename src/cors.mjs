@@ -0,0 +1,141 @@
+// CORS policy and security headers for the HTTP routes, plus the Origin check of WebSocket upgrades.
+// Allowed origins come from CORS_ORIGINS (comma-separated) or from the JSON file named by CORS_CONFIG; the env
+// wins. An entry is an exact origin (https://quickitquote.com), a subdomain wildcard (https://*.quickitquote.com)
+// or * (any origin, the default). With an allow-list, a browser request whose Origin is not on it gets 403 before
+// auth runs (this also blocks DNS rebinding); requests without Origin (servers, CLIs, Agent Builder) pass.
+//
+// File shape: { "origins": ["https://quickitquote.com"], "credentials": true, "max_age": 600 }
+// Credentials (cookies, HTTP auth) are only allowed for listed origins, never together with *.
+
+const sanitize = (v) => (v ?? '').toString().trim();
+const splitList = (v) => sanitize(v).split(',').map((s) => s.trim()).filter(Boolean);
+const isOff = (v) => ['off', 'false', '0'].includes(sanitize(v).toLowerCase());
+
+const ALLOW_HEADERS = 'Content-Type, Authorization, X-Access-Token, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID';
+// Readable by browser clients: the session id, auth challenges (OAuth discovery) and rate-limit back-off
+const EXPOSE_HEADERS = 'Mcp-Session-Id, WWW-Authenticate, Retry-After';
+const DEFAULT_MAX_AGE = 600;
+const HSTS_MAX_AGE = 31536000;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Allow-list entry → predicate on a request's Origin, or undefined when the entry is malformed
+function compileOrigin(entry) {
+    if (entry === '*') return () => true;
+    if (entry === 'null') return (origin) => origin === 'null';
+    const wildcard = entry.match(/^(https?):\/\/\*\.([a-z0-9.-]+(?::\d+)?)$/i);
+    if (wildcard) {
+        const re = new RegExp(`^${wildcard[1].toLowerCase()}://[a-z0-9-]+(\\.[a-z0-9-]+)*\\.${escapeRe(wildcard[2].toLowerCase())}$`);
+        return (origin) => re.test(origin);
+    }
+    try {
+        const { origin } = new URL(entry);
+        if (origin === 'null') return undefined;
+        return (value) => value === origin;
+    } catch {
+        return undefined;
+    }
+}
+
+async function readConfigFile(path) {
+    // Node only; the Edge runtime takes its policy from the env
+    const { readFile } = await import('node:fs/promises');
+    return JSON.parse(await readFile(path, 'utf8'));
+}
+
+async function loadPolicy() {
+    let file = {};
+    const path = sanitize(process.env.CORS_CONFIG);
+    if (path) {
+        try {
+            file = await readConfigFile(path);
+        } catch (err) {
+            // A broken policy file must not fall back to any origin: allow none until it is fixed
+            console.error('[CORS] Cannot read', path, '- no cross-origin requests allowed:', err?.message || err);
+            file = { origins: [] };
+        }
+    }
+    const entries = process.env.CORS_ORIGINS !== undefined
+        ? splitList(process.env.CORS_ORIGINS)
+        : Array.isArray(file.origins) ? file.origins.map(sanitize).filter(Boolean) : ['*'];
+    const matchers = [];
+    for (const entry of entries) {
+        const match = compileOrigin(entry);
+        if (match) matchers.push(match);
+        else console.warn('[CORS] Ignoring invalid origin', JSON.stringify(entry));
+    }
+    const any = entries.includes('*');
+    const credentials = process.env.CORS_CREDENTIALS !== undefined
+        ? ['true', '1', 'yes'].includes(sanitize(process.env.CORS_CREDENTIALS).toLowerCase())
+        : file.credentials === true;
+    if (any && credentials) console.warn('[CORS] CORS_CREDENTIALS is ignored while any origin (*) is allowed');
+    const maxAge = Number(process.env.CORS_MAX_AGE ?? file.max_age);
+
+    console.log('[CORS]', any ? 'Allowing any origin (set CORS_ORIGINS to restrict)' : `Allowing origins: ${entries.join(', ') || 'none'}`);
+    return {
+        any,
+        matchers,
+        credentials: credentials && !any,
+        maxAge: Number.isFinite(maxAge) && maxAge >= 0 ? Math.floor(maxAge) : DEFAULT_MAX_AGE,
+    };
+}
+
+const policyReady = loadPolicy();
+
+// True when a browser on `origin` may call the server (used by the WebSocket adapters, which browsers do not
+// subject to CORS)
+export async function originAllowed(origin) {
+    if (origin === undefined || origin === null) return true;
+    const policy = await policyReady;
+    return policy.any || policy.matchers.some((match) => match(String(origin).toLowerCase()));
+}
+
+// Express middleware for one path: `methods` is what the path answers (the preflight's Allow-Methods), and
+// `public: true` lets any origin read it without credentials (discovery documents, JWKS). Preflights are
+// answered here; mount it before body parsing and auth so errors and 401 challenges are readable cross-origin.
+export function cors({ methods = 'GET, POST, OPTIONS', public: isPublic = false } = {}) {
+    return async (req, res, next) => {
+        let policy;
+        try {
+            policy = await policyReady;
+        } catch (err) {
+            return next(err);
+        }
+        const origin = req.headers.origin;
+        if (isPublic || policy.any) {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+        } else if (origin !== undefined) {
+            res.vary('Origin');
+            if (!(await originAllowed(origin))) {
+                console.warn('[CORS] Rejected origin', origin, 'for', req.method, req.path);
+                return res.status(403).json({ error: 'Origin not allowed' });
+            }
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            if (policy.credentials) res.setHeader('Access-Control-Allow-Credentials', 'true');
+        }
+        res.setHeader('Access-Control-Expose-Headers', EXPOSE_HEADERS);
+        if (req.method !== 'OPTIONS') return next();
+        res.setHeader('Access-Control-Allow-Methods', methods);
+        res.setHeader('Access-Control-Allow-Headers', ALLOW_HEADERS);
+        res.setHeader('Access-Control-Max-Age', String(policy.maxAge));
+        res.status(204).end();
+    };
+}
+
+const SECURITY_HEADERS_ON = !isOff(process.env.SECURITY_HEADERS);
+
+// Standard security headers on every response (SECURITY_HEADERS=off to leave them to a proxy). Nothing here is
+// meant to be framed, and HSTS is only sent on HTTPS (directly or behind a proxy that says so).
+export function securityHeaders(req, res, next) {
+    if (!SECURITY_HEADERS_ON) return next();
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('Content-Security-Policy', "frame-ancestors 'none'");
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    const proto = String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim();
+    if (proto === 'https' || req.socket?.encrypted) {
+        res.setHeader('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE}; includeSubDomains`);
+    }
+    next();
+}
@@ -0,0 +1,179 @@
+// Currency conversion for catalog prices. Catalog `price` / `list_price` are in CATALOG_CURRENCY
+// (default EGP: the field spec defines price_usd as EGP → USD).
+//
+// Rates are units of each currency per 1 unit of the table's base currency. Sources, first available wins:
+//   1. a provider: setRateProvider(fn), or CURRENCY_RATES_URL (HTTP JSON, cached CURRENCY_RATES_TTL seconds)
+//   2. CURRENCY_RATES_FILE: JSON or YAML { "base": "USD", "rates": { "EGP": 48.6, ... }, "updated_at": "..." }, watched
+//   3. CURRENCY_RATES: the same JSON, or "EGP=48.6,EUR=0.92" with CURRENCY_RATES_BASE (default USD)
+// A failing provider falls back to its last good table, then to the static one.
+
+import { createWatchedFile } from './watched-file.mjs';
+
+const sanitize = (v) => (v ?? '').toString().trim();
+
+export const CATALOG_CURRENCY = sanitize(process.env.CATALOG_CURRENCY).toUpperCase() || 'EGP';
+const RATES_FILE = sanitize(process.env.CURRENCY_RATES_FILE);
+const RATES_URL = sanitize(process.env.CURRENCY_RATES_URL);
+const RATES_TTL_MS = (Number(process.env.CURRENCY_RATES_TTL) || 3600) * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+export const DEFAULT_LOCALE = sanitize(process.env.CURRENCY_LOCALE) || 'en-US';
+
+export const currencyCodeSchema = { type: 'string', pattern: '^[A-Z]{3}$' };
+
+export const exchangeRateSchema = {
+    type: 'object',
+    properties: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        // 1 unit of `from` = rate units of `to`
+        rate: { type: 'number' },
+        // When the rate table was published (or loaded, if the source has no timestamp)
+        updated_at: { type: 'string' },
+        source: { type: 'string' },
+    },
+    required: ['from', 'to', 'rate', 'updated_at', 'source'],
+};
+
+const money = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// { base, rates, updated_at } from our own shape or common provider payloads
+// (exchangerate-api / open.er-api.com: base_code + conversion_rates|rates; currencylayer: source + quotes "USDEGP")
+function toTable(data, source, fallbackBase = 'USD') {
+    if (typeof data === 'string') {
+        const text = data.trim();
+        if (text.startsWith('{')) return toTable(JSON.parse(text), source, fallbackBase);
+        const rates = Object.fromEntries(text.split(',').map((pair) => pair.split('=').map((s) => s.trim())).filter(([k, v]) => k && v).map(([k, v]) => [k, Number(v)]));
+        return toTable({ base: fallbackBase, rates }, source, fallbackBase);
+    }
+    const base = sanitize(data?.base ?? data?.base_code ?? data?.source ?? fallbackBase).toUpperCase();
+    let rates = data?.rates ?? data?.conversion_rates;
+    if (!rates && data?.quotes) {
+        rates = Object.fromEntries(Object.entries(data.quotes).map(([k, v]) => [k.startsWith(base) ? k.slice(base.length) : k, v]));
+    }
+    const clean = {};
+    for (const [code, rate] of Object.entries(rates || {})) {
+        const n = Number(rate);
+        if (/^[A-Za-z]{3}$/.test(code) && Number.isFinite(n) && n > 0) clean[code.toUpperCase()] = n;
+    }
+    if (!Object.keys(clean).length) throw new Error(`${source}: no usable rates`);
+    clean[base] = 1;
+    const unix = Number(data?.time_last_update_unix ?? data?.timestamp);
+    let updatedAt;
+    if (Number.isFinite(unix) && unix > 0) updatedAt = new Date(unix < 1e12 ? unix * 1000 : unix).toISOString();
+    else if (data?.updated_at || data?.date) updatedAt = new Date(data.updated_at || data.date).toISOString();
+    return { base, rates: clean, updated_at: updatedAt || new Date().toISOString(), source };
+}
+
+const state = {
+    remote: undefined,
+    remoteFetchedAt: 0,
+    remoteError: undefined,
+};
+let provider = RATES_URL ? () => fetchRates(RATES_URL) : undefined;
+
+async function fetchRates(url) {
+    const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), headers: { accept: 'application/json' } });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+}
+
+// CURRENCY_RATES_FILE, reloaded when it changes; without one, the CURRENCY_RATES table
+const ratesFile = RATES_FILE && createWatchedFile({
+    path: RATES_FILE,
+    // Only needed for YAML rate files
+    parse: async (text) => toTable(/\.ya?ml$/i.test(RATES_FILE) ? (await import('yaml')).parse(text) : JSON.parse(text), 'file'),
+    empty: undefined,
+    tag: 'CURRENCY',
+    name: 'rates',
+    describe: (table) => `${Object.keys(table.rates).length} rates`,
+});
+let envTable;
+
+function readEnvTable() {
+    if (envTable === undefined) {
+        envTable = null;
+        if (sanitize(process.env.CURRENCY_RATES)) {
+            try {
+                envTable = toTable(sanitize(process.env.CURRENCY_RATES), 'env', sanitize(process.env.CURRENCY_RATES_BASE).toUpperCase() || 'USD');
+                console.log('[CURRENCY] Loaded', Object.keys(envTable.rates).length, 'rates from env');
+            } catch (err) {
+                console.error('[CURRENCY] Ignoring CURRENCY_RATES:', err?.message || err);
+            }
+        }
+    }
+    return envTable || undefined;
+}
+
+// Replace the rate provider (e.g. a bank feed); fn() resolves to { base, rates, updated_at } or a provider
+// payload. Pass undefined to use the static table only.
+export function setRateProvider(fn) {
+    provider = fn;
+    state.remote = undefined;
+    state.remoteFetchedAt = 0;
+}
+
+// Current rate table: the provider's (cached for CURRENCY_RATES_TTL), else the static one
+export async function getRates() {
+    if (provider && Date.now() - state.remoteFetchedAt > RATES_TTL_MS) {
+        try {
+            state.remote = toTable(await provider(), RATES_URL ? 'http' : 'provider');
+            state.remoteError = undefined;
+        } catch (err) {
+            state.remoteError = err?.message || String(err);
+            console.error('[CURRENCY] Rate provider failed:', state.remoteError);
+        }
+        // Failures are retried after the TTL too, not on every call
+        state.remoteFetchedAt = Date.now();
+    }
+    if (state.remote) return state.remote;
+    return ratesFile ? (await ratesFile.load()).value : readEnvTable();
+}
+
+// { from, to, rate, updated_at, source }: 1 `from` = rate `to`. Throws when either currency is not in the table.
+export async function getExchangeRate(from, to) {
+    const src = sanitize(from).toUpperCase();
+    const dst = sanitize(to).toUpperCase();
+    if (src === dst) return { from: src, to: dst, rate: 1, updated_at: new Date().toISOString(), source: 'identity' };
+    const table = await getRates();
+    if (!table) throw new Error(`No exchange rates configured for ${src} → ${dst}. Set CURRENCY_RATES, CURRENCY_RATES_FILE or CURRENCY_RATES_URL.`);
+    const missing = [src, dst].filter((c) => !table.rates[c]);
+    if (missing.length) {
+        throw new Error(`No exchange rate for ${missing.join(', ')} (${table.source} rates: ${Object.keys(table.rates).sort().join(', ')})`);
+    }
+    return {
+        from: src,
+        to: dst,
+        rate: table.rates[dst] / table.rates[src],
+        updated_at: table.updated_at,
+        source: table.source,
+    };
+}
+
+export const convertAmount = (amount, fx) => money(Number(amount) * fx.rate);
+
+export function formatPrice(amount, currency, locale = DEFAULT_LOCALE) {
+    try {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+    } catch {
+        return `${currency} ${money(amount).toFixed(2)}`;
+    }
+}
+
+// Products priced in `to`: price and list_price converted from each product's `currency` (catalog currency
+// when unset), formatted_price re-rendered, and the rate used recorded as exchange_rate.
+export async function convertProducts(products, to, { locale = DEFAULT_LOCALE } = {}) {
+    const rates = new Map();
+    const out = [];
+    for (const product of products) {
+        const from = product.currency || CATALOG_CURRENCY;
+        if (!rates.has(from)) rates.set(from, await getExchangeRate(from, to));
+        const fx = rates.get(from);
+        const converted = { ...product, price: convertAmount(product.price, fx) };
+        if (typeof product.list_price === 'number') converted.list_price = convertAmount(product.list_price, fx);
+        converted.formatted_price = formatPrice(converted.price, fx.to, locale);
+        converted.currency = fx.to;
+        converted.exchange_rate = fx;
+        out.push(converted);
+    }
+    return out;
+}
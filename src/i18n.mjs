@@ -0,0 +1,102 @@
+// English / Arabic support: Arabic text normalization, an Arabic → English synonym map for common IT terms
+// (the catalog is indexed in English), and the locales our responses can be localized to.
+
+export const LOCALES = ['en', 'ar'];
+// Intl locales for formatting; Latin digits in Arabic too, so prices and part numbers read the same
+export const INTL_LOCALES = { en: 'en-US', ar: 'ar-EG-u-nu-latn' };
+
+const ARABIC_RE = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+export const hasArabic = (text) => ARABIC_RE.test(String(text ?? ''));
+
+// Explicit locale, else Arabic when the text is
+export const resolveLocale = (locale, text) => (LOCALES.includes(locale) ? locale : hasArabic(text) ? 'ar' : 'en');
+
+// Fold the spellings people actually type: diacritics and tatweel stripped, alef variants → ا,
+// alef maqsura → ي, taa marbuta → ه, hamza carriers → و / ي, Arabic-Indic digits → 0-9
+export function normalizeArabic(text) {
+    return String(text ?? '')
+        .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ى/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .replace(/ؤ/g, 'و')
+        .replace(/ئ/g, 'ي')
+        .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06F0))
+        .replace(/[،؛]/g, ',')
+        .replace(/؟/g, '?');
+}
+
+// English search terms for Arabic (and Egyptian colloquial) IT vocabulary. Keys are folded with
+// normalizeArabic and matched without the definite article, so "الجدار الناري" finds "جدار ناري".
+const SYNONYMS = {
+    'جدار حماية': 'firewall', 'جدار ناري': 'firewall', 'فايروول': 'firewall', 'فاير وول': 'firewall',
+    'مكافحة فيروسات': 'antivirus', 'مضاد فيروسات': 'antivirus', 'مضاد للفيروسات': 'antivirus', 'انتي فيروس': 'antivirus',
+    'حماية نقاط النهاية': 'endpoint security', 'حماية الاجهزة الطرفية': 'endpoint security',
+    'حماية البريد الالكتروني': 'email security', 'حماية البريد': 'email security', 'بريد الكتروني': 'email', 'ايميل': 'email',
+    'نسخ احتياطي': 'backup', 'باك اب': 'backup',
+    'سويتش': 'switch', 'سويتشات': 'switch', 'محول شبكة': 'switch', 'مبدل': 'switch', 'بورت': 'port', 'منفذ': 'port', 'منافذ': 'port',
+    'راوتر': 'router', 'موجه': 'router',
+    'نقطة وصول': 'access point', 'نقاط وصول': 'access point', 'اكسس بوينت': 'access point',
+    'لاسلكي': 'wireless', 'واي فاي': 'wifi', 'وايرلس': 'wireless',
+    'سيرفر': 'server', 'سيرفرات': 'server', 'خادم': 'server', 'خوادم': 'server',
+    'تخزين': 'storage', 'وحدة تخزين': 'storage', 'قرص صلب': 'hard drive', 'هارد': 'hard drive',
+    'كابل': 'cable', 'كابلات': 'cable', 'كيبل': 'cable',
+    'رخصة': 'license', 'رخص': 'license', 'ترخيص': 'license', 'لايسنس': 'license',
+    'اشتراك': 'subscription', 'تجديد': 'renewal', 'دعم فني': 'support', 'ضمان': 'warranty',
+    'لابتوب': 'laptop', 'حاسب محمول': 'laptop', 'كمبيوتر محمول': 'laptop',
+    'كمبيوتر مكتبي': 'desktop', 'حاسب مكتبي': 'desktop', 'شاشة': 'monitor', 'شاشات': 'monitor', 'طابعة': 'printer', 'ليزر': 'laser',
+    'كاميرا مراقبة': 'cctv camera', 'كاميرات مراقبة': 'cctv camera',
+    'رام': 'ram', 'ذاكرة': 'memory', 'معالج': 'processor',
+    'مزود طاقة': 'power supply', 'باور سبلاي': 'power supply', 'يو بي اس': 'ups',
+    'سحابي': 'cloud', 'سحابة': 'cloud', 'شبكة': 'network', 'شبكات': 'network', 'حماية': 'security', 'امان': 'security',
+    'مايكروسوفت': 'microsoft', 'اوفيس': 'office', 'ويندوز': 'windows', 'كاسبرسكي': 'kaspersky',
+    'فورتينت': 'fortinet', 'فورتي': 'forti', 'فورتي جيت': 'fortigate', 'فورتيجيت': 'fortigate', 'فورتي سويتش': 'fortiswitch', 'سيسكو': 'cisco', 'سوفوس': 'sophos',
+    'ايسيت': 'eset', 'ديل': 'dell', 'اتش بي': 'hp', 'لينوفو': 'lenovo',
+};
+
+// Request filler ("I want a price for ...", including Egyptian colloquial) that would only narrow the search
+const STOPWORDS = new Set(['من', 'في', 'على', 'علي', 'مع', 'عن', 'الي', 'او', 'و', 'ل', 'لل', 'ب', 'عدد', 'لمده', 'مده',
+    'اريد', 'عايز', 'عاوز', 'محتاج', 'نحتاج', 'نريد', 'ممكن', 'سعر', 'اسعار', 'عرض', 'لو', 'سمحت', 'برجاء', 'رجاء',
+    'قطعه', 'قطع', 'جهاز', 'اجهزه', 'نسخه', 'سنه', 'سنتين', 'سنوات', 'مستخدم', 'مستخدمين', 'لكل', 'كل', 'هذا', 'هذه']);
+
+// Matching form of a folded word: definite article ("ال", "بال", "وال", "لل") dropped
+const stem = (word) => word.replace(/^(?:وال|بال|فال|كال|لل|ال)(?=\S{2})/, '');
+// Stopwords also match with a one-letter prefix (و, ب, ل, ف), e.g. "لعدد"
+const isStopword = (word) => [word, stem(word), word.replace(/^[وبلف](?=\S{2})/, '')].some((w) => STOPWORDS.has(w));
+
+const SYNONYM_MAP = new Map(Object.entries(SYNONYMS).map(([ar, en]) => [normalizeArabic(ar).split(/\s+/).map(stem).join(' '), en]));
+const MAX_PHRASE = Math.max(...[...SYNONYM_MAP.keys()].map((k) => k.split(' ').length));
+
+// Arabic / mixed query → search string for the English catalog:
+//   { query, translated: [{ ar, en }] }
+// English terms and Latin tokens (brands, part numbers) come first and unmatched Arabic words last, so
+// Typesense drops the Arabic words first when a query has no results.
+export function expandArabicQuery(text) {
+    const words = normalizeArabic(text).toLowerCase().split(/[\s,?!.:;()"'«»]+/).filter(Boolean);
+    const english = [];
+    const latin = [];
+    const arabic = [];
+    const translated = [];
+    for (let i = 0; i < words.length;) {
+        let matched = 0;
+        for (let n = Math.min(MAX_PHRASE, words.length - i); n >= 1 && !matched; n--) {
+            const phrase = words.slice(i, i + n);
+            const en = SYNONYM_MAP.get(phrase.map(stem).join(' '));
+            if (en) {
+                translated.push({ ar: phrase.join(' '), en });
+                english.push(en);
+                matched = n;
+            }
+        }
+        if (matched) {
+            i += matched;
+            continue;
+        }
+        const word = words[i++];
+        if (!hasArabic(word)) latin.push(word);
+        else if (!isStopword(word) && stem(word).length > 1) arabic.push(word);
+    }
+    const query = [...new Set([...english, ...latin, ...arabic])].join(' ');
+    return { query, translated };
+}
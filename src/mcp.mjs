@@ -1,5 +1,27 @@
-// Minimal MCP core for HTTP/SSE transports (no WebSocket)
+// Transport-agnostic MCP core shared by the HTTP/SSE, WebSocket and Edge transports.
+// Transports (see src/transports/) only move raw messages; dispatch lives here.
 import Typesense from 'typesense';
+import { validateSchema, formatSchemaErrors } from './schema.mjs';
+import { PRODUCT_FIELDS, productSchema, normalizeProduct, normalizeMpn } from './products.mjs';
+import { FACTORS, DEFAULT_WEIGHTS, resolveWeights, scoreProducts } from './scoring.mjs';
+import { loadScoringProfiles, selectScoringProfile } from './scoring-profiles.mjs';
+import { quoteSchema, createQuote, getQuote, addQuoteLine, updateQuoteLine, removeQuoteLine, convertQuote, publicQuote } from './quotes.mjs';
+import { EXPORT_FORMATS, EXPORT_LANGS, exportQuote } from './quote-export.mjs';
+import { BOQ_FORMATS, parseBoq, resolveBoq } from './boq.mjs';
+import { recommendBundles } from './bundles.mjs';
+import { evaluateRules } from './rules.mjs';
+import { CATALOG_CURRENCY, currencyCodeSchema, exchangeRateSchema, getExchangeRate, convertProducts } from './currency.mjs';
+import { LOCALES, INTL_LOCALES, hasArabic, resolveLocale, expandArabicQuery } from './i18n.mjs';
+import { loadMpnAliases, resolveMpnAlias, expandMpnAliases, setMpnAliases } from './mpn-aliases.mjs';
+import { SCOPES, apiKeySchema, createApiKey, listApiKeys, revokeApiKey } from './api-keys.mjs';
+import { checkRequestLimits, checkToolLimits } from './rate-limit.mjs';
+import { NO_AUTH, authEnforced } from './auth.mjs';
+import { AUDIT_STATUSES, auditEntrySchema, buildAuditEntry, recordAudit, queryAudit } from './audit.mjs';
+
+export const SERVER_INFO = { name: 'QIQ_MCP', version: '1.0.0' };
+// Newest first; initialize echoes the client's version when we support it
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+export const PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
 
 // In-memory tool registry
 const tools = new Map();
@@ -23,8 +45,13 @@ tools.set('ping', {
     call: async (args = {}) => ({ reply: args.status ? `pong:${args.status}` : 'pong' }),
 });
 
-export function getTools() {
-    return Array.from(tools.values()).map(t => ({
+// Tools declare the key scope they need (`scope`); tools without one are open to every caller.
+// `auth` is what the transport authenticated ({ key_id, scopes }); without it (auth disabled) nothing is filtered.
+// handleJsonRpc never lets auth be missing while auth is enforced (see NO_AUTH).
+const canUseTool = (tool, auth) => !auth || !tool.scope || auth.scopes.includes(tool.scope);
+
+export function getTools(auth) {
+    return Array.from(tools.values()).filter((t) => canUseTool(t, auth)).map(t => ({
         name: t.name,
         description: t.description || '',
         inputSchema: t.inputSchema || { type: 'object' },
@@ -39,40 +66,189 @@ export function registerTool(name, def) {
     return getTools();
 }
 
-export function handleJsonRpc(input) {
-    try {
-        const { id, method, params } = input || {};
-        const ok = (result) => ({ jsonrpc: '2.0', id, result });
-        const err = (code, message, data) => {
-            const e = { code, message }; if (data !== undefined) e.data = data;
-            return { jsonrpc: '2.0', id: id ?? null, error: e };
-        };
+// Method aliases tolerated from older Agent Builder / WebSocket clients
+const METHOD_ALIASES = {
+    toolslist: 'tools/list',
+    toolscall: 'tools/call',
+};
+
+// Per-call context handed to tool.call(args, ctx). Transports supply `notify(message)` to push
+// server-to-client messages (progress, logs) on their channel; tools just call progress()/log().
+function createToolContext(params, ctx = {}) {
+    const notify = (method, notifParams) => {
+        if (typeof ctx.notify !== 'function') return;
+        try { ctx.notify({ jsonrpc: '2.0', method, params: notifParams }); } catch (e) { console.error('[MCP] notify failed:', e?.message || e); }
+    };
+    const progressToken = params?._meta?.progressToken;
+    return {
+        sessionId: ctx.sessionId,
+        auth: ctx.auth,
+        notify,
+        progress: (progress, total, message) => {
+            if (progressToken === undefined) return;
+            const p = { progressToken, progress };
+            if (total !== undefined) p.total = total;
+            if (message) p.message = message;
+            notify('notifications/progress', p);
+        },
+        log: (level, data) => notify('notifications/message', { level, logger: SERVER_INFO.name, data }),
+    };
+}
+
+const rpcError = (id, code, message, data) => {
+    const e = { code, message }; if (data !== undefined) e.data = data;
+    return { jsonrpc: '2.0', id: id ?? null, error: e };
+};
+
+// MCP CallToolResult: structuredContent carries the object matching outputSchema, and the same
+// JSON is repeated as a text block for clients that only read `content`.
+function toolResult(result) {
+    if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+        return { content: [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result ?? null) }], isError: false };
+    }
+    return { content: [{ type: 'text', text: JSON.stringify(result) }], structuredContent: result, isError: false };
+}
+
+const toolError = (message) => ({ content: [{ type: 'text', text: message }], isError: true });
+
+// Tool results are checked against outputSchema: 'strict' turns a mismatch into an error,
+// 'warn' (default) logs it and returns the result anyway, 'off' skips the check.
+const OUTPUT_VALIDATION = ['strict', 'warn', 'off'].includes(process.env.MCP_OUTPUT_VALIDATION)
+    ? process.env.MCP_OUTPUT_VALIDATION
+    : 'warn';
 
-        switch (method) {
-            case 'initialize':
-                return ok({
-                    protocolVersion: '2024-11-05',
-                    serverInfo: { name: 'MCP_HTTP', version: '1.0.0' },
-                    capabilities: { tools: { listChanged: false } },
-                });
-            case 'tools/list':
-                return ok({ tools: getTools() });
-            case 'tools/call': {
-                const name = params?.name; const args = params?.arguments;
-                const tool = name && tools.get(name);
-                if (!tool) return err(-32601, `Method not found: tool ${name}`);
-                return Promise.resolve(tool.call(args || {}))
-                    .then((result) => ok(result))
-                    .catch(() => err(-32000, 'Tool invocation error'));
+const isValidId = (id) => id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+
+// tools/call: check scope, arguments and limits, run the tool and wrap its result
+async function callTool(id, params, ctx) {
+    const ok = (result) => ({ jsonrpc: '2.0', id, result });
+    const err = (code, message, data) => rpcError(id, code, message, data);
+    const name = params?.name; const args = params?.arguments;
+    if (!name || typeof name !== 'string') return err(-32602, 'Invalid params: name is required');
+    const tool = tools.get(name);
+    if (!tool) return err(-32601, `Method not found: tool ${name}`);
+    if (!canUseTool(tool, ctx.auth)) {
+        return err(-32003, `Forbidden: tool ${name} requires the "${tool.scope}" scope`, { tool: name, scope: tool.scope, key_id: ctx.auth.key_id });
+    }
+    const input = args ?? {};
+    const inputErrors = validateSchema(tool.inputSchema || { type: 'object' }, input);
+    if (inputErrors.length) {
+        return err(-32602, `Invalid params: ${formatSchemaErrors(inputErrors)}`, { tool: name, errors: inputErrors });
+    }
+    // Per-tool rates and daily quotas are charged only for calls that would actually run
+    const limited = await checkToolLimits(name, ctx);
+    if (limited) return err(limited.code, limited.message, limited.data);
+    let result;
+    try {
+        result = await tool.call(input, createToolContext(params, ctx));
+    } catch (e) {
+        // Tool-level failure: report it inside the result so the agent can see why
+        const message = e?.message || String(e);
+        console.error(`[MCP] Tool ${name} failed:`, message);
+        return ok(toolError(message));
+    }
+    if (OUTPUT_VALIDATION !== 'off' && tool.outputSchema) {
+        const outputErrors = validateSchema(tool.outputSchema, result);
+        if (outputErrors.length) {
+            console.warn(`[MCP] Tool ${name} output does not match outputSchema:`, formatSchemaErrors(outputErrors));
+            if (OUTPUT_VALIDATION === 'strict') {
+                return err(-32603, `Invalid tool output: ${formatSchemaErrors(outputErrors)}`, { tool: name, errors: outputErrors });
             }
-            default:
-                return err(-32601, `Method not found: ${method}`);
         }
+    }
+    return ok(toolResult(result));
+}
+
+// Route one well-formed request to its handler and build the response
+async function dispatch(method, id, params, ctx) {
+    const ok = (result) => ({ jsonrpc: '2.0', id, result });
+    const err = (code, message, data) => rpcError(id, code, message, data);
+
+    switch (method) {
+        case 'initialize':
+            return ok({
+                protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params?.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSION,
+                serverInfo: SERVER_INFO,
+                capabilities: { tools: { listChanged: false }, logging: {} },
+            });
+        case 'ping':
+            return ok({});
+        case 'tools/list':
+            return ok({ tools: getTools(ctx.auth) });
+        case 'tools/call': {
+            // Every call is audited, including the ones rejected before the tool runs (src/audit.mjs)
+            const startedAt = Date.now();
+            const response = await callTool(id, params, ctx);
+            recordAudit(buildAuditEntry({ params, ctx, response, startedAt }));
+            return response;
+        }
+        default:
+            return err(-32601, `Method not found: ${method}`);
+    }
+}
+
+// Handle a single JSON-RPC object. Resolves to the response, or null for a notification
+// (a valid request without an `id` member), which never gets a reply.
+async function handleMessage(input, ctx) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return rpcError(null, -32600, 'Invalid Request: expected a JSON-RPC object');
+    }
+    const isNotification = !('id' in input);
+    if (!isNotification && !isValidId(input.id)) return rpcError(null, -32600, 'Invalid Request: id must be a string, number or null');
+    const id = isNotification ? null : input.id;
+    if (input.jsonrpc !== '2.0') return rpcError(id, -32600, 'Invalid Request: jsonrpc must be "2.0"');
+    if (!input.method || typeof input.method !== 'string') return rpcError(id, -32600, 'Invalid Request: method missing');
+    if (input.params !== undefined && (input.params === null || typeof input.params !== 'object')) {
+        return rpcError(id, -32600, 'Invalid Request: params must be an object or array');
+    }
+    const method = METHOD_ALIASES[input.method] || input.method;
+
+    try {
+        if (isNotification) {
+            // Client lifecycle notifications (initialized, cancelled, progress, ...) need no action here;
+            // any other method sent as a notification still runs, but its result is dropped.
+            if (!method.startsWith('notifications/') && !(await checkRequestLimits(ctx))) await dispatch(method, null, input.params, ctx);
+            return null;
+        }
+        const limited = await checkRequestLimits(ctx);
+        if (limited) return rpcError(id, limited.code, limited.message, limited.data);
+        return await dispatch(method, id, input.params, ctx);
+    } catch (e) {
+        console.error('[MCP] Internal error:', e?.message || e);
+        return isNotification ? null : rpcError(id, -32603, 'Internal error');
+    }
+}
+
+// JSON-RPC 2.0 entry point shared by every transport. Accepts a single object or a batch array;
+// batch members run concurrently. Resolves to null when there is nothing to send back
+// (a notification, or a batch made only of notifications). Transports pass in ctx what they know
+// about the caller: auth ({ key_id, scopes }) for scopes and limits, ip for per-IP limits.
+export async function handleJsonRpc(input, ctx = {}) {
+    // A transport that authenticated nobody while keys, MCP_TOKEN or OAuth are configured gets no scopes, not
+    // every tool; if that cannot be decided (key store unreachable), fail closed too
+    if (!ctx.auth && (await authEnforced().catch(() => true))) ctx = { ...ctx, auth: NO_AUTH };
+    if (Array.isArray(input)) {
+        if (!input.length) return rpcError(null, -32600, 'Invalid Request: empty batch');
+        const out = (await Promise.all(input.map((m) => handleMessage(m, ctx)))).filter(Boolean);
+        return out.length ? out : null;
+    }
+    return handleMessage(input, ctx);
+}
+
+// Entry point for message-oriented transports (WebSocket, Edge): takes the raw frame text
+// and resolves to the serialized response (null when no reply is due), so every socket
+// adapter behaves the same way.
+export async function handleJsonRpcMessage(raw, ctx = {}) {
+    let msg;
+    try {
+        msg = JSON.parse(typeof raw === 'string' ? raw : String(raw));
     } catch {
-        return { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } };
+        return JSON.stringify(rpcError(null, -32700, 'Parse error'));
     }
+    const out = await handleJsonRpc(msg, ctx);
+    return out === null ? null : JSON.stringify(out);
 }
-// End of minimal MCP core
+// End of MCP core
 
 // --- Built-in tools: Typesense search and QIQ scoring ---
 // Environment-driven configuration so the server can run without hardcoding
@@ -100,12 +276,16 @@ let TS_PORT = (() => {
 let TS_API_KEY = [process.env.TYPESENSE_SEARCH_ONLY_KEY, process.env.TYPESENSE_API_KEY, process.env.TYPESENSE_ADMIN_API_KEY]
     .find((v) => typeof v === 'string' && sanitize(v)?.length > 0);
 let TS_API_KEY_TRIMMED = sanitize(TS_API_KEY);
+// Synonym management needs an admin key; searches keep using the (search-only) key above
+let TS_ADMIN_KEY = sanitize(process.env.TYPESENSE_ADMIN_API_KEY);
 let TS_COLLECTION = sanitize(process.env.TYPESENSE_COLLECTION);
 
 let tsClient = null;
+let tsAdminClient = null;
 function rebuildTypesenseClient() {
     // Always null the old client first to force a fresh instance
     tsClient = null;
+    tsAdminClient = null;
     try {
         if (TS_HOST && TS_PROTOCOL && TS_API_KEY_TRIMMED && typeof TS_PORT === 'number' && !Number.isNaN(TS_PORT)) {
             console.log('[TS] Building client:', { host: TS_HOST, protocol: TS_PROTOCOL, port: TS_PORT, collection: TS_COLLECTION, keyLength: TS_API_KEY_TRIMMED?.length });
@@ -114,6 +294,13 @@ function rebuildTypesenseClient() {
                 apiKey: TS_API_KEY_TRIMMED,
                 connectionTimeoutSeconds: 5,
             });
+            tsAdminClient = TS_ADMIN_KEY && TS_ADMIN_KEY !== TS_API_KEY_TRIMMED
+                ? new Typesense.Client({
+                    nodes: [{ host: TS_HOST, port: TS_PORT, protocol: TS_PROTOCOL }],
+                    apiKey: TS_ADMIN_KEY,
+                    connectionTimeoutSeconds: 5,
+                })
+                : tsClient;
             console.log('[TS] Client rebuilt successfully');
         } else {
             console.log('[TS] Client not initialized:', { host: TS_HOST, protocol: TS_PROTOCOL, port: TS_PORT, keyLength: TS_API_KEY_TRIMMED?.length, collection: TS_COLLECTION });
@@ -126,136 +313,467 @@ function rebuildTypesenseClient() {
 }
 rebuildTypesenseClient();
 
-const productSchema = {
+let cachedQueryBy = null;
+
+// Whether typesense_search may fabricate products:
+//   off  – never; an unconfigured client or an upstream failure is a tool error
+//   auto – (default) mock only while Typesense is not configured at all; upstream failures are tool errors
+//   on   – mock when unconfigured and substitute a fallback product when the upstream call fails
+// Fabricated results are always flagged with `source` and `degraded: true`.
+const MOCK_MODES = ['off', 'auto', 'on'];
+let MOCK_MODE = (() => {
+    const raw = sanitize(process.env.MCP_MOCK_MODE)?.toLowerCase();
+    return MOCK_MODES.includes(raw) ? raw : 'auto';
+})();
+
+// Determine query_by fields once: env override, else string fields from the collection schema
+async function resolveQueryBy() {
+    if (cachedQueryBy) return cachedQueryBy;
+    const envQueryBy = sanitize(process.env.TYPESENSE_QUERY_BY);
+    if (envQueryBy) {
+        // Honor explicit override and skip schema discovery
+        cachedQueryBy = envQueryBy;
+    } else {
+        // Try to discover string fields from schema, then fallback to sensible defaults
+        try {
+            const schema = await tsClient.collections(TS_COLLECTION).retrieve();
+            const strFields = (schema?.fields || [])
+                .filter((f) => typeof f?.name === 'string' && String(f.type || '').startsWith('string'))
+                .map((f) => f.name);
+            cachedQueryBy = (strFields.length ? strFields : ['name', 'description', 'brand', 'category']).join(',');
+        } catch {
+            cachedQueryBy = ['name', 'description', 'brand', 'category'].join(',');
+        }
+    }
+    return cachedQueryBy;
+}
+
+// Filter values are wrapped in backticks so commas, spaces and parentheses are taken literally
+const tsValue = (v) => `\`${String(v).replace(/`/g, '')}\``;
+const asList = (v) => (Array.isArray(v) ? v : [v]).filter((x) => x !== undefined && x !== null && String(x).trim() !== '');
+
+// Build Typesense filter_by from the structured search filters (fields per vw_TypesenseProducts.csv)
+function buildFilterBy(args) {
+    const clauses = [];
+    const anyOf = (field, value) => {
+        const list = asList(value);
+        if (list.length) clauses.push(`${field}:=[${list.map(tsValue).join(',')}]`);
+    };
+    if (args.category) clauses.push(`category:=${tsValue(args.category)}`);
+    anyOf('brand', args.brand);
+    anyOf('subcategory', args.subcategory);
+    anyOf('function_group', args.function_group);
+    anyOf('stock_status', args.stock_status);
+    anyOf('compliance_tags', args.compliance_tags);
+    if (typeof args.price_min === 'number') clauses.push(`price:>=${args.price_min}`);
+    if (typeof args.price_max === 'number') clauses.push(`price:<=${args.price_max}`);
+    if (typeof args.availability_min === 'number') clauses.push(`availability:>=${args.availability_min}`);
+    if (typeof args.is_promo === 'boolean') clauses.push(`is_promo:=${args.is_promo}`);
+    return clauses.join(' && ');
+}
+
+// Typesense facet_counts → [{ field, counts: [{ value, count }] }]
+const mapFacets = (facetCounts = []) => facetCounts.map((f) => ({
+    field: f.field_name,
+    counts: (f.counts || []).map((c) => ({ value: String(c.value), count: c.count })),
+}));
+
+const stringOrList = { type: ['string', 'array'], items: { type: 'string' } };
+const mpnAliasSchema = {
+    type: 'object',
+    properties: { alias: { type: 'string' }, mpn: { type: 'string' } },
+    required: ['alias', 'mpn'],
+};
+
+const searchInputSchema = {
     type: 'object',
     properties: {
-        sku: { type: 'string' },
-        name: { type: 'string' },
-        brand: { type: 'string' },
-        price: { type: 'number' },
-        quantity: { type: 'number' },
-        score: { type: 'number' }
+        category: { type: 'string' },
+        // Agent Builder's execute_search node emits keywords as an array of terms
+        keywords: stringOrList,
+        quantity: { type: ['number', 'null'] },
+        duration_years: { type: ['number', 'null'] },
+        // Structured filters; list values match any of the given values
+        brand: stringOrList,
+        subcategory: stringOrList,
+        function_group: stringOrList,
+        stock_status: stringOrList,
+        compliance_tags: stringOrList,
+        price_min: { type: 'number', minimum: 0 },
+        price_max: { type: 'number', minimum: 0 },
+        availability_min: { type: 'number', minimum: 0 },
+        is_promo: { type: 'boolean' },
+        // e.g. "price:asc" or "availability:desc,price:asc"
+        sort_by: { type: 'string', pattern: '^[A-Za-z_]+:(asc|desc)(,[A-Za-z_]+:(asc|desc)){0,2}$' },
+        page: { type: 'integer', minimum: 1 },
+        per_page: { type: 'integer', minimum: 1, maximum: 250 },
+        facet_by: stringOrList,
+        // summary: sku/name/brand/price/quantity; full: every field of the product schema
+        detail: { type: 'string', enum: ['summary', 'full'] },
+        // Extra product fields to add to a summary (e.g. ["image", "spec_sheet", "required_questions"])
+        include_fields: { type: 'array', items: { type: 'string', enum: PRODUCT_FIELDS } },
+        // Convert prices to this currency (price_min / price_max are then in it too)
+        currency: currencyCodeSchema,
+        // Language of labels (stock_label, stock_warnings, formatted prices); default: ar for Arabic keywords, else en
+        locale: { type: 'string', enum: LOCALES },
     },
-    required: ['sku', 'name', 'brand', 'price', 'quantity'],
-    additionalProperties: true,
+    required: ['category', 'keywords'],
+    additionalProperties: false,
 };
 
-let cachedQueryBy = null;
-
-registerTool('typesense_search', {
-    description: 'Search products from Typesense and return normalized product list.',
-    inputSchema: {
-        type: 'object',
-        properties: {
-            category: { type: 'string' },
-            keywords: { type: 'string' },
-            quantity: { type: ['number', 'null'] },
-            duration_years: { type: ['number', 'null'] },
+const facetSchema = {
+    type: 'object',
+    properties: {
+        field: { type: 'string' },
+        counts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { value: { type: 'string' }, count: { type: 'number' } },
+                required: ['value', 'count'],
+            },
         },
-        required: ['category', 'keywords'],
-        additionalProperties: false,
     },
-    outputSchema: {
-        type: 'object',
-        properties: { products: { type: 'array', items: productSchema } },
-        required: ['products'],
-        additionalProperties: false,
+    required: ['field', 'counts'],
+};
+
+const searchOutputSchema = {
+    type: 'object',
+    properties: {
+        products: { type: 'array', items: productSchema },
+        // typesense = live catalog; mock/fallback = fabricated products (never quote these)
+        source: { type: 'string', enum: ['typesense', 'mock', 'fallback'] },
+        degraded: { type: 'boolean' },
+        warning: { type: 'string' },
+        found: { type: 'number' },
+        page: { type: 'number' },
+        per_page: { type: 'number' },
+        facets: { type: 'array', items: facetSchema },
+        // One line per product that cannot cover the requested quantity from stock
+        stock_warnings: { type: 'array', items: { type: 'string' } },
+        // Set when the currency argument was given: prices are in `currency`, converted at exchange_rate
+        currency: { type: 'string' },
+        exchange_rate: exchangeRateSchema,
+        locale: { type: 'string', enum: LOCALES },
+        // The query actually searched when Arabic terms were translated or MPN aliases replaced
+        expanded_query: { type: 'string' },
+        translated: {
+            type: 'array',
+            items: { type: 'object', properties: { ar: { type: 'string' }, en: { type: 'string' } }, required: ['ar', 'en'] },
+        },
+        mpn_aliases: { type: 'array', items: mpnAliasSchema },
     },
-    call: async ({ category, keywords, quantity = null }) => {
-        // If Typesense is not configured, return deterministic mock data
-        const qty = typeof quantity === 'number' && Number.isFinite(quantity) && quantity > 0 ? quantity : 1;
-        console.log('[TS_SEARCH] tsClient?', !!tsClient, 'TS_COLLECTION?', TS_COLLECTION, 'TS_API_KEY_TRIMMED length?', TS_API_KEY_TRIMMED?.length);
-        if (!tsClient || !TS_COLLECTION) {
-            console.log('[TS_SEARCH] Returning MOCK (client or collection missing)');
-            return {
-                products: [
-                    { sku: 'MOCK-001', name: `${category} basic - ${keywords}`, brand: 'Generic', price: 10, quantity: qty },
-                    { sku: 'MOCK-002', name: `${category} standard - ${keywords}`, brand: 'Generic', price: 20, quantity: qty },
-                    { sku: 'MOCK-003', name: `${category} pro - ${keywords}`, brand: 'Generic', price: 30, quantity: qty },
-                ],
-            };
+    required: ['products', 'source', 'degraded'],
+    additionalProperties: false,
+};
+
+// Product search shared by typesense_search and the tools that build on it
+async function searchProducts(args = {}, ctx = {}) {
+    const { category, keywords, quantity = null } = args;
+    const qty = typeof quantity === 'number' && Number.isFinite(quantity) && quantity > 0 ? quantity : 1;
+    const page = args.page || 1;
+    const perPage = args.per_page || 25;
+    const locale = resolveLocale(args.locale, Array.isArray(keywords) ? keywords.join(' ') : keywords);
+    console.log('[TS_SEARCH] tsClient?', !!tsClient, 'TS_COLLECTION?', TS_COLLECTION, 'TS_API_KEY_TRIMMED length?', TS_API_KEY_TRIMMED?.length, 'mockMode', MOCK_MODE);
+    if (!tsClient || !TS_COLLECTION) {
+        const missing = !tsClient ? 'client (host/protocol/port/API key)' : 'collection';
+        if (MOCK_MODE === 'off') {
+            throw new Error(`Typesense is not configured: missing ${missing}. Set TYPESENSE_* env vars or call typesense_config_set.`);
         }
+        // Typesense not configured: deterministic mock data, clearly flagged (filters are not applied)
+        console.log('[TS_SEARCH] Returning MOCK (client or collection missing)');
+        return {
+            source: 'mock',
+            degraded: true,
+            locale,
+            warning: `Typesense is not configured (missing ${missing}); these are MOCK products with fabricated prices.`,
+            products: [
+                { sku: 'MOCK-001', name: `${category} basic - ${keywords}`, brand: 'Generic', price: 10, quantity: qty },
+                { sku: 'MOCK-002', name: `${category} standard - ${keywords}`, brand: 'Generic', price: 20, quantity: qty },
+                { sku: 'MOCK-003', name: `${category} pro - ${keywords}`, brand: 'Generic', price: 30, quantity: qty },
+            ],
+        };
+    }
 
-        try {
-            // Determine query_by fields once
-            if (!cachedQueryBy) {
-                const envQueryBy = sanitize(process.env.TYPESENSE_QUERY_BY);
-                if (envQueryBy) {
-                    // Honor explicit override and skip schema discovery
-                    cachedQueryBy = envQueryBy;
-                } else {
-                    // Try to discover string fields from schema, then fallback to sensible defaults
-                    try {
-                        const schema = await tsClient.collections(TS_COLLECTION).retrieve();
-                        const strFields = (schema?.fields || [])
-                            .filter((f) => typeof f?.name === 'string' && String(f.type || '').startsWith('string'))
-                            .map((f) => f.name);
-                        cachedQueryBy = (strFields.length ? strFields : ['name', 'description', 'brand', 'category']).join(',');
-                    } catch {
-                        cachedQueryBy = ['name', 'description', 'brand', 'category'].join(',');
-                    }
-                }
-            }
+    try {
+        const queryBy = await resolveQueryBy();
 
-            let result;
-            const qString = Array.isArray(keywords) ? keywords.join(' ') : (keywords && String(keywords).trim() ? String(keywords) : '*');
-            const baseParams = {
-                q: qString,
-                per_page: 25,
-            };
+        let result;
+        let qString = Array.isArray(keywords) ? keywords.join(' ') : (keywords && String(keywords).trim() ? String(keywords) : '*');
+        // Arabic keywords are folded and their IT terms translated: the catalog is indexed in English
+        const expanded = hasArabic(qString) ? expandArabicQuery(qString) : undefined;
+        if (expanded) {
+            console.log('[TS_SEARCH] Arabic query', JSON.stringify(qString), '→', JSON.stringify(expanded.query));
+            qString = expanded.query || '*';
+        }
+        // Known vendor spellings / old SKUs → the MPN the catalog indexes
+        const aliased = await expandMpnAliases(qString);
+        if (aliased.replaced.length) {
+            console.log('[TS_SEARCH] MPN aliases', JSON.stringify(aliased.replaced));
+            qString = aliased.query;
+        }
+        const baseParams = {
+            q: qString,
+            page,
+            per_page: perPage,
+        };
+        const filterBy = buildFilterBy(args);
+        if (filterBy) baseParams.filter_by = filterBy;
+        if (args.sort_by) baseParams.sort_by = args.sort_by;
+        const facetBy = asList(args.facet_by);
+        if (facetBy.length) baseParams.facet_by = facetBy.join(',');
 
-            // Attempt search with discovered query_by, then progressively degrade
-            const attempt = async (queryBy) => {
-                const params = { ...baseParams, query_by: queryBy };
-                const weights = sanitize(process.env.TYPESENSE_QUERY_BY_WEIGHTS);
-                if (weights && weights.split(',').filter(Boolean).length === queryBy.split(',').filter(Boolean).length) {
-                    params.query_by_weights = weights;
-                }
-                if (category) params.filter_by = `category:=${JSON.stringify(category)}`;
-                return tsClient.collections(TS_COLLECTION).documents().search(params);
-            };
+        // Attempt search with discovered query_by, then progressively degrade
+        const attempt = async (fields) => {
+            const params = { ...baseParams, query_by: fields };
+            const weights = sanitize(process.env.TYPESENSE_QUERY_BY_WEIGHTS);
+            if (weights && weights.split(',').filter(Boolean).length === fields.split(',').filter(Boolean).length) {
+                params.query_by_weights = weights;
+            }
+            return tsClient.collections(TS_COLLECTION).documents().search(params);
+        };
 
-            // If qString looks like an exact identifier (e.g., KL4066IAVFS), prioritize identifier fields
-            const looksLikeId = /[A-Za-z]{2,}\d{2,}|\d{3,}[A-Za-z]{2,}/.test(qString);
-            const idFirst = 'mpn_normalized,object_id,name,sku,brand,category';
+        // If qString looks like an exact identifier (e.g., KL4066IAVFS), prioritize identifier fields
+        const looksLikeId = /[A-Za-z]{2,}\d{2,}|\d{3,}[A-Za-z]{2,}/.test(qString);
+        const idFirst = 'mpn_normalized,object_id,name,sku,brand,category';
 
+        // Progress is streamed to clients that sent a progressToken (Streamable HTTP / WebSocket)
+        ctx.progress?.(1, 3, `Searching ${TS_COLLECTION} for "${qString}"${filterBy ? ` where ${filterBy}` : ''}`);
+        try {
+            result = await attempt(looksLikeId ? idFirst : queryBy);
+        } catch (err1) {
+            console.log('[TS_SEARCH] Primary attempt failed:', err1?.message);
+            ctx.progress?.(2, 3, 'Primary search failed, retrying with fallback fields');
+            // Fallbacks: try a common single field, then a conservative default set
             try {
-                result = await attempt(looksLikeId ? idFirst : cachedQueryBy);
-            } catch (err1) {
-                console.log('[TS_SEARCH] Primary attempt failed:', err1?.message);
-                // Fallbacks: try a common single field, then a conservative default set
-                try {
-                    result = await attempt('name');
-                } catch (err2) {
-                    console.log('[TS_SEARCH] Fallback name failed:', err2?.message);
-                    result = await attempt('mpn_normalized,object_id,name,sku,brand,category');
-                }
+                result = await attempt('name');
+            } catch (err2) {
+                console.log('[TS_SEARCH] Fallback name failed:', err2?.message);
+                result = await attempt('mpn_normalized,object_id,name,sku,brand,category');
             }
+        }
 
-            const products = (result.hits || []).map((hit, idx) => {
-                const doc = hit.document || {};
-                const sku = doc.sku || doc.mpn_normalized || doc.object_id || doc.id || `TS-${idx + 1}`;
-                const name = doc.name || doc.title || `${category} item`;
-                const brand = doc.brand || doc.vendor || 'Unknown';
-                const price = typeof doc.price === 'number' ? doc.price : Number(doc.price) || 0;
-                return { sku, name, brand, price, quantity: qty };
+        const products = (result.hits || []).map((hit, idx) => {
+            const product = normalizeProduct(hit.document, {
+                quantity: qty,
+                index: idx,
+                category,
+                detail: args.detail,
+                includeFields: args.include_fields,
+                locale,
             });
-            console.log('[TS_SEARCH] Success:', products.length, 'products');
-            return { products };
-        } catch (outerErr) {
-            // Fall back to mock data on failure
-            console.log('[TS_SEARCH] Outer catch (fallback):', outerErr?.message);
-            return {
-                products: [
-                    { sku: 'FALLBACK-001', name: `${category} fallback - ${keywords}`, brand: 'Generic', price: 15, quantity: qty },
-                ],
-            };
+            // Keep the relevance score so qiq_scoring can weigh it
+            if (typeof hit.text_match === 'number') product.text_match = hit.text_match;
+            return product;
+        });
+        console.log('[TS_SEARCH] Success:', products.length, 'of', result.found, 'products');
+        ctx.progress?.(3, 3, `${products.length} products found`);
+        const out = {
+            products,
+            source: 'typesense',
+            degraded: false,
+            found: typeof result.found === 'number' ? result.found : products.length,
+            page: result.page || page,
+            per_page: perPage,
+            locale,
+        };
+        if (expanded || aliased.replaced.length) out.expanded_query = qString;
+        if (expanded) out.translated = expanded.translated;
+        if (aliased.replaced.length) out.mpn_aliases = aliased.replaced;
+        if (facetBy.length) out.facets = mapFacets(result.facet_counts);
+        const short = products.filter((p) => p.fulfillable === false);
+        if (short.length) {
+            out.stock_warnings = short.map((p) => (locale === 'ar'
+                ? `${p.sku}: المطلوب ${qty}، المتوفر ${Math.max(0, p.availability)} (${p.stock_label})`
+                : `${p.sku}: requested ${qty}, ${Math.max(0, p.availability)} available (${p.stock_label})`));
+        }
+        return out;
+    } catch (outerErr) {
+        const upstream = outerErr?.message || String(outerErr);
+        console.log('[TS_SEARCH] Outer catch:', upstream, 'mockMode', MOCK_MODE);
+        // Only an explicit MCP_MOCK_MODE=on may paper over an upstream failure
+        if (MOCK_MODE !== 'on') throw new Error(`Typesense search failed: ${upstream}`);
+        return {
+            source: 'fallback',
+            degraded: true,
+            locale,
+            warning: `Typesense search failed (${upstream}); this is a FALLBACK product with a fabricated price.`,
+            products: [
+                { sku: 'FALLBACK-001', name: `${category} fallback - ${keywords}`, brand: 'Generic', price: 15, quantity: qty },
+            ],
+        };
+    }
+}
+
+// Search with prices in `currency`: price filters are converted to the catalog currency for Typesense
+async function searchProductsIn({ currency, ...args }, ctx) {
+    if (!currency) return searchProducts(args, ctx);
+    const fx = await getExchangeRate(CATALOG_CURRENCY, currency);
+    for (const key of ['price_min', 'price_max']) {
+        if (typeof args[key] === 'number') args[key] = args[key] / fx.rate;
+    }
+    const out = await searchProducts(args, ctx);
+    const products = await convertProducts(out.products, currency, { locale: out.locale === 'ar' ? INTL_LOCALES.ar : undefined });
+    return { ...out, products, currency: fx.to, exchange_rate: fx };
+}
+
+registerTool('typesense_search', {
+    scope: 'search',
+    description: 'Search products from Typesense and return normalized product list. Supports brand/price/stock/subcategory/function_group/promo/compliance filters, sort_by, page/per_page, facet_by counts, detail=full or include_fields for images, spec sheets, pre-quote questions and other product fields, and currency to convert prices.',
+    inputSchema: searchInputSchema,
+    outputSchema: searchOutputSchema,
+    call: (args, ctx) => searchProductsIn(args, ctx),
+});
+
+// Identifier fields product_get resolves against, in match precedence order.
+// `object_id` is the older spelling of objectID still present on some documents.
+const ID_FIELDS = ['objectID', 'object_id', 'mpn_normalized', 'vendor_mpn', 'sku'];
+
+// Exact lookup of products by MPN, SKU or objectID. Runs one filter-only search per identifier
+// field in a single multi_search, so a field missing from the collection schema only drops that field.
+async function getProducts(ids, { detail = 'full', includeFields, locale } = {}) {
+    if (!tsClient || !TS_COLLECTION) {
+        // Exact lookups are never mocked: a fabricated "match" for a pasted part number is worse than none
+        throw new Error('Typesense is not configured: product_get needs a live collection. Set TYPESENSE_* env vars or call typesense_config_set.');
+    }
+    const inputs = [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+    // Aliased ids are looked up as themselves first (an old SKU may still be indexed), then as their MPN
+    const aliasOf = new Map();
+    for (const input of inputs) {
+        const mpn = await resolveMpnAlias(input);
+        if (mpn) aliasOf.set(input, mpn);
+    }
+    const values = [...new Set([...inputs, ...aliasOf.values()])];
+    const lookupValue = (field, id) => (field === 'mpn_normalized' ? normalizeMpn(id) : id);
+    const searches = ID_FIELDS.map((field) => ({
+        collection: TS_COLLECTION,
+        q: '*',
+        filter_by: `${field}:=[${values.map((id) => tsValue(lookupValue(field, id))).join(',')}]`,
+        per_page: Math.min(250, values.length * 2),
+    }));
+    const response = await tsClient.multiSearch.perform({ searches }, { query_by: await resolveQueryBy() });
+    const results = response?.results || [];
+    // Every field failing means the lookup itself failed (bad key, missing collection, ...)
+    if (results.length && results.every((r) => r?.error)) throw new Error(`Typesense lookup failed: ${results[0].error}`);
+    const docsByField = {};
+    results.forEach((r, i) => {
+        if (r?.error) console.log('[PRODUCT_GET] Lookup on', ID_FIELDS[i], 'failed:', r.error);
+        docsByField[ID_FIELDS[i]] = (r?.hits || []).map((h) => h.document || {});
+    });
+
+    const same = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+    const match = (id) => {
+        for (const field of ID_FIELDS) {
+            const value = lookupValue(field, id);
+            const matches = (docsByField[field] || []).filter((doc) => same(doc[field], value));
+            if (matches.length) return { field, matches };
         }
+        return undefined;
+    };
+    return inputs.map((input) => {
+        let hit = match(input);
+        let alias;
+        if (!hit && aliasOf.has(input)) {
+            alias = aliasOf.get(input);
+            hit = match(alias);
+        }
+        if (!hit) return { input, found: false };
+        const entry = {
+            input,
+            found: true,
+            matched_on: hit.field === 'object_id' ? 'objectID' : hit.field,
+            product: normalizeProduct(hit.matches[0], { detail, includeFields, locale }),
+        };
+        if (alias) entry.alias_of = alias;
+        if (hit.matches.length > 1) entry.candidates = hit.matches.length;
+        return entry;
+    });
+}
+
+registerTool('product_get', {
+    scope: 'search',
+    description: 'Exact product lookup by manufacturer part number, vendor MPN, SKU or objectID (one or many). Returns the document for each identifier or an explicit not-found entry; use this instead of typesense_search for pasted part numbers.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            ids: { type: ['string', 'array'], items: { type: 'string' }, minItems: 1, maxItems: 100 },
+            detail: { type: 'string', enum: ['summary', 'full'] },
+            include_fields: { type: 'array', items: { type: 'string', enum: PRODUCT_FIELDS } },
+            locale: { type: 'string', enum: LOCALES },
+        },
+        required: ['ids'],
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        input: { type: 'string' },
+                        found: { type: 'boolean' },
+                        matched_on: { type: 'string', enum: ['objectID', 'mpn_normalized', 'vendor_mpn', 'sku'] },
+                        // The input was found through the MPN alias table under this MPN
+                        alias_of: { type: 'string' },
+                        candidates: { type: 'number' },
+                        product: productSchema,
+                    },
+                    required: ['input', 'found'],
+                    additionalProperties: false,
+                },
+            },
+            found: { type: 'number' },
+            missing: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['results', 'found', 'missing'],
+        additionalProperties: false,
+    },
+    call: async ({ ids, detail = 'full', include_fields, locale }) => {
+        const results = await getProducts(Array.isArray(ids) ? ids : [ids], { detail, includeFields: include_fields, locale });
+        const missing = results.filter((r) => !r.found).map((r) => r.input);
+        console.log('[PRODUCT_GET] Resolved', results.length - missing.length, 'of', results.length, 'identifiers');
+        return { results, found: results.length - missing.length, missing };
     },
 });
 
+const weightsSchema = {
+    type: 'object',
+    properties: Object.fromEntries(FACTORS.map((f) => [f, { type: 'number', minimum: 0 }])),
+    additionalProperties: false,
+};
+
+const factorSchema = {
+    type: 'object',
+    properties: {
+        value: { type: 'number' },
+        weight: { type: 'number' },
+        contribution: { type: 'number' },
+        detail: { type: 'string' },
+    },
+    required: ['value', 'weight', 'contribution'],
+};
+
+const scoredProductSchema = {
+    ...productSchema,
+    properties: {
+        ...productSchema.properties,
+        rank: { type: 'integer' },
+        extended_price: { type: 'number' },
+        score_breakdown: {
+            type: 'object',
+            properties: Object.fromEntries(FACTORS.map((f) => [f, factorSchema])),
+        },
+    },
+    required: [...productSchema.required, 'score', 'rank', 'score_breakdown'],
+};
+
 registerTool('qiq_scoring', {
-    description: 'Score and rank products for QIQ procurement logic.',
+    scope: 'search',
+    description: 'Score and rank products for QIQ procurement logic. Each product gets a 0–1 score from weighted '
+        + 'factors (relevance, discount vs list price, price, stock for the requested seats, solution fit, priority, '
+        + 'data quality, risk, AI confidence, brand preference) and a per-factor score_breakdown.',
     inputSchema: {
         type: 'object',
         properties: {
@@ -263,36 +781,604 @@ registerTool('qiq_scoring', {
             context: {
                 type: 'object',
                 properties: {
+                    // Named profile from the scoring profiles file (see qiq_scoring_profiles); when omitted,
+                    // the profile listing this solutionType is used, else the file's default
+                    profile: { type: 'string' },
                     solutionType: { type: 'string' },
-                    seats: { type: 'number' },
-                    termYears: { type: 'number' },
+                    seats: { type: 'number', minimum: 0 },
+                    termYears: { type: 'number', minimum: 0 },
+                    preferredBrands: { type: 'array', items: { type: 'string' } },
+                    excludedBrands: { type: 'array', items: { type: 'string' } },
+                    // Partial overrides of the profile's factor weights (normalized to sum to 1)
+                    weights: weightsSchema,
                 },
                 additionalProperties: true,
             },
+            // Convert prices (from each product's currency, else the catalog's) before scoring
+            currency: currencyCodeSchema,
         },
         required: ['products'],
         additionalProperties: false,
     },
     outputSchema: {
         type: 'object',
-        properties: { products: { type: 'array', items: productSchema } },
-        required: ['products'],
+        properties: {
+            products: { type: 'array', items: scoredProductSchema },
+            weights: weightsSchema,
+            // Profile applied, and why: context.profile, solutionType or default
+            profile: {
+                type: 'object',
+                properties: { name: { type: 'string' }, reason: { type: 'string' } },
+                required: ['name', 'reason'],
+            },
+        },
+        required: ['products', 'weights'],
         additionalProperties: false,
     },
-    call: async ({ products = [], context = {} } = {}) => {
-        const scored = (Array.isArray(products) ? products : []).map((p) => {
-            const price = typeof p.price === 'number' ? p.price : Number(p.price) || 0;
-            // Simple, transparent baseline: lower price → higher score
-            const score = price > 0 ? 1 / price : 0;
-            return { ...p, price, score };
+    call: async ({ products = [], context = {}, currency } = {}) => {
+        const selected = await selectScoringProfile(context);
+        const weights = resolveWeights(selected?.profile.weights, context.weights);
+        const priced = currency ? await convertProducts(products, currency) : products;
+        const out = { products: scoreProducts(priced, context, { weights }), weights };
+        if (selected) out.profile = { name: selected.name, reason: selected.reason };
+        return out;
+    },
+});
+
+registerTool('qiq_scoring_profiles', {
+    scope: 'search',
+    description: 'List the qiq_scoring profiles (weights per customer segment or solutionType) loaded from the scoring profiles file.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            path: { type: 'string' },
+            default: { type: 'string' },
+            loaded_at: { type: 'string' },
+            // Last load or reload failure; the previously loaded profiles remain active
+            error: { type: 'string' },
+            default_weights: weightsSchema,
+            profiles: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        solutionTypes: { type: 'array', items: { type: 'string' } },
+                        weights: weightsSchema,
+                    },
+                    required: ['name', 'weights'],
+                },
+            },
+        },
+        required: ['path', 'profiles', 'default_weights'],
+        additionalProperties: false,
+    },
+    call: async () => {
+        const state = await loadScoringProfiles();
+        const out = {
+            path: state.path,
+            default_weights: { ...DEFAULT_WEIGHTS },
+            profiles: Object.entries(state.profiles).map(([name, p]) => ({
+                name,
+                ...(p.description ? { description: p.description } : {}),
+                solutionTypes: p.solutionTypes || [],
+                // Effective weights: the profile's over the defaults, normalized
+                weights: resolveWeights(p.weights),
+            })),
+        };
+        if (state.defaultProfile) out.default = state.defaultProfile;
+        if (state.loadedAt) out.loaded_at = state.loadedAt;
+        if (state.error) out.error = state.error;
+        return out;
+    },
+});
+
+// Quote builder: lines come from typesense_search / product_get products; totals are recomputed on every change
+const quoteIdSchema = { type: 'string', minLength: 1 };
+const lineAmountsSchema = {
+    quantity: { type: 'integer', minimum: 1 },
+    // Price is per unit per year: line_total = unit_price × quantity × duration_years
+    duration_years: { type: 'number', exclusiveMinimum: 0 },
+    // Override the product price (e.g. a negotiated price)
+    unit_price: { type: 'number', minimum: 0 },
+    notes: { type: 'string' },
+};
+const quoteOutputSchema = {
+    type: 'object',
+    properties: { quote: quoteSchema },
+    required: ['quote'],
+    additionalProperties: false,
+};
+
+registerTool('quote_create', {
+    scope: 'quote',
+    description: 'Create an empty draft quote. Returns the quote with its id; add products with quote_add_line.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            customer: {
+                type: 'object',
+                properties: { name: { type: 'string' }, company: { type: 'string' }, email: { type: 'string' } },
+                additionalProperties: true,
+            },
+            // Catalog prices are converted to it as lines are added (default QUOTE_CURRENCY, else the catalog currency)
+            currency: currencyCodeSchema,
+            tax_percent: { type: 'number', minimum: 0, maximum: 100 },
+            notes: { type: 'string' },
+        },
+        additionalProperties: false,
+    },
+    outputSchema: quoteOutputSchema,
+    call: async (args = {}, ctx) => {
+        const quote = await createQuote(args, ctx.auth);
+        console.log('[QUOTE] Created', quote.id);
+        return { quote: publicQuote(quote) };
+    },
+});
+
+registerTool('quote_add_line', {
+    scope: 'quote',
+    description: 'Add a product to a quote: pass the product object from typesense_search / product_get, or product_id '
+        + '(MPN, SKU or objectID, looked up like product_get). Returns the re-totalled quote.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            quote_id: quoteIdSchema,
+            product: productSchema,
+            product_id: { type: 'string', minLength: 1 },
+            ...lineAmountsSchema,
+        },
+        required: ['quote_id'],
+        additionalProperties: false,
+    },
+    outputSchema: quoteOutputSchema,
+    call: async ({ quote_id, product, product_id, ...amounts }, ctx) => {
+        if (!product === !product_id) throw new Error('Pass exactly one of product or product_id');
+        let line = product;
+        if (product_id) {
+            const [hit] = await getProducts([product_id], { detail: 'full' });
+            if (!hit?.found) throw new Error(`Product "${product_id}" not found`);
+            if (hit.candidates) throw new Error(`Product "${product_id}" matches ${hit.candidates} documents on ${hit.matched_on}; use the objectID`);
+            line = hit.product;
+        }
+        return { quote: publicQuote(await addQuoteLine(quote_id, line, amounts, ctx.auth)) };
+    },
+});
+
+registerTool('quote_update_line', {
+    scope: 'quote',
+    description: 'Change the quantity, duration_years, unit_price or notes of a quote line. Returns the re-totalled quote.',
+    inputSchema: {
+        type: 'object',
+        properties: { quote_id: quoteIdSchema, line_id: { type: 'string', minLength: 1 }, ...lineAmountsSchema },
+        required: ['quote_id', 'line_id'],
+        additionalProperties: false,
+    },
+    outputSchema: quoteOutputSchema,
+    call: async ({ quote_id, line_id, ...changes }, ctx) => ({ quote: publicQuote(await updateQuoteLine(quote_id, line_id, changes, ctx.auth)) }),
+});
+
+registerTool('quote_remove_line', {
+    scope: 'quote',
+    description: 'Remove a line from a quote. Returns the re-totalled quote.',
+    inputSchema: {
+        type: 'object',
+        properties: { quote_id: quoteIdSchema, line_id: { type: 'string', minLength: 1 } },
+        required: ['quote_id', 'line_id'],
+        additionalProperties: false,
+    },
+    outputSchema: quoteOutputSchema,
+    call: async ({ quote_id, line_id }, ctx) => ({ quote: publicQuote(await removeQuoteLine(quote_id, line_id, ctx.auth)) }),
+});
+
+registerTool('quote_get', {
+    scope: 'quote',
+    description: 'Fetch a quote with its lines, line totals, discounts vs list price, subtotal, tax and grand total. '
+        + 'Pass currency to see every amount converted (the stored quote is unchanged).',
+    inputSchema: {
+        type: 'object',
+        properties: { quote_id: quoteIdSchema, currency: currencyCodeSchema },
+        required: ['quote_id'],
+        additionalProperties: false,
+    },
+    outputSchema: quoteOutputSchema,
+    call: async ({ quote_id, currency }, ctx) => ({ quote: publicQuote(await convertQuote(await getQuote(quote_id, ctx.auth), currency)) }),
+});
+
+const forSchema = { type: 'array', items: { type: 'string' } };
+
+registerTool('quote_validate', {
+    scope: 'quote',
+    description: 'Check candidate quote lines (or a saved quote) against the product rules before pricing. Returns blocking '
+        + 'questions to ask the customer (required_questions, ask_before_quote), warnings (product_rules, category_rules, '
+        + 'missing price, stock) and mandatory additions (always_bundle). Re-run with `answers` until `ready` is true.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            quote_id: quoteIdSchema,
+            lines: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 200,
+                items: {
+                    type: 'object',
+                    properties: {
+                        line_id: { type: 'string' },
+                        // A full product (product_get detail "full") is evaluated as given; product_id is looked up
+                        product: productSchema,
+                        product_id: { type: 'string', minLength: 1 },
+                        quantity: { type: 'integer', minimum: 1 },
+                        duration_years: { type: 'number', exclusiveMinimum: 0 },
+                    },
+                    additionalProperties: false,
+                },
+            },
+            // Question id → answer, or "<sku>:<question id>" → answer for one product
+            answers: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } },
+        },
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            ready: { type: 'boolean' },
+            questions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        question: { type: 'string' },
+                        blocking: { type: 'boolean' },
+                        reason: { type: 'string', enum: ['required_questions', 'ask_before_quote'] },
+                        for: forSchema,
+                        line_ids: forSchema,
+                    },
+                    required: ['id', 'question', 'blocking', 'reason', 'for'],
+                },
+            },
+            warnings: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', enum: ['product_rule', 'category_rule', 'no_price', 'stock_shortfall', 'not_found'] },
+                        message: { type: 'string' },
+                        category: { type: 'string' },
+                        for: forSchema,
+                        line_ids: forSchema,
+                    },
+                    required: ['code', 'message', 'for'],
+                },
+            },
+            mandatory_additions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { sku: { type: 'string' }, for: forSchema, quantity: { type: 'number' }, reason: { type: 'string' } },
+                    required: ['sku', 'for', 'quantity', 'reason'],
+                },
+            },
+            answered: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { id: { type: 'string' }, question: { type: 'string' }, answer: {}, for: forSchema, line_ids: forSchema },
+                    required: ['id', 'question', 'answer', 'for'],
+                },
+            },
+        },
+        required: ['ready', 'questions', 'warnings', 'mandatory_additions', 'answered'],
+        additionalProperties: false,
+    },
+    call: async ({ quote_id, lines, answers = {} }, ctx) => {
+        if (!quote_id === !lines) throw new Error('Pass exactly one of quote_id or lines');
+        // Quote lines only keep a product snapshot, so their rule fields are looked up again by objectID (else SKU)
+        const candidates = quote_id
+            ? (await getQuote(quote_id, ctx.auth)).lines.map((l) => ({ line_id: l.line_id, product_id: l.objectID || l.sku, quantity: l.quantity }))
+            : lines;
+        for (const l of candidates) {
+            if (!l.product === !l.product_id) throw new Error('Each line needs exactly one of product or product_id');
+        }
+        const ids = candidates.filter((l) => l.product_id).map((l) => l.product_id);
+        const found = new Map((ids.length ? await getProducts(ids, { detail: 'full' }) : []).map((r) => [r.input, r]));
+        const notFound = [];
+        const evaluated = [];
+        for (const { line_id, product, product_id, quantity } of candidates) {
+            const hit = product_id && found.get(String(product_id).trim());
+            if (product_id && !hit?.found) {
+                notFound.push({ line_id, product_id });
+                continue;
+            }
+            const p = hit ? hit.product : product;
+            evaluated.push({ line_id, product: p, quantity: quantity ?? p.quantity ?? 1 });
+        }
+        const result = evaluateRules(evaluated, { answers });
+        for (const { line_id, product_id } of notFound) {
+            result.warnings.push({
+                code: 'not_found',
+                message: `${product_id} not found in the catalog; its rules were not checked`,
+                for: [String(product_id)],
+                ...(line_id ? { line_ids: [line_id] } : {}),
+            });
+        }
+        console.log('[RULES] Validated', evaluated.length, 'lines:', result.questions.length, 'questions,',
+            result.warnings.length, 'warnings,', result.mandatory_additions.length, 'mandatory additions');
+        return result;
+    },
+});
+
+registerTool('quote_export', {
+    scope: 'quote',
+    description: 'Export a quote as a branded HTML or PDF document, a CSV line-item sheet or a QuoteWerks import file, '
+        + 'in English or Arabic (RTL). Text formats are returned as-is, PDFs base64-encoded; url is the equivalent download route.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            quote_id: quoteIdSchema,
+            format: { type: 'string', enum: EXPORT_FORMATS },
+            lang: { type: 'string', enum: EXPORT_LANGS },
+            // Export with amounts converted to this currency
+            currency: currencyCodeSchema,
+        },
+        required: ['quote_id', 'format'],
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            quote_id: { type: 'string' },
+            format: { type: 'string', enum: EXPORT_FORMATS },
+            lang: { type: 'string', enum: EXPORT_LANGS },
+            filename: { type: 'string' },
+            mime_type: { type: 'string' },
+            encoding: { type: 'string', enum: ['utf8', 'base64'] },
+            content: { type: 'string' },
+            url: { type: 'string' },
+        },
+        required: ['quote_id', 'format', 'lang', 'filename', 'mime_type', 'encoding', 'content', 'url'],
+        additionalProperties: false,
+    },
+    call: async ({ quote_id, format, lang = 'en', currency }, ctx) => {
+        const quote = await convertQuote(await getQuote(quote_id, ctx.auth), currency);
+        const { filename, mime_type, body } = await exportQuote(quote, { format, lang });
+        const binary = Buffer.isBuffer(body);
+        return {
+            quote_id,
+            format,
+            lang,
+            filename,
+            mime_type,
+            encoding: binary ? 'base64' : 'utf8',
+            content: binary ? body.toString('base64') : body,
+            url: `/quotes/${encodeURIComponent(quote_id)}/export?format=${format}&lang=${lang}${currency ? `&currency=${currency}` : ''}`,
+        };
+    },
+});
+
+// BOQ / RFQ intake: parse pasted text, CSV or XLSX into typesense_search-ready lines, then resolve them in one call
+const boqInputProperties = {
+    // Pasted text, CSV text, or a base64-encoded .xlsx file
+    content: { type: 'string', minLength: 1, maxLength: 10000000 },
+    format: { type: 'string', enum: BOQ_FORMATS },
+    // Worksheet name for XLSX (default: the first sheet)
+    sheet: { type: 'string' },
+    // Used when a line gives no category hint / duration
+    default_category: { type: 'string' },
+    default_duration_years: { type: 'number', exclusiveMinimum: 0 },
+};
+
+const boqSearchSchema = {
+    type: 'object',
+    properties: {
+        category: { type: 'string' },
+        keywords: { type: 'array', items: { type: 'string' } },
+        quantity: { type: 'number' },
+        duration_years: { type: ['number', 'null'] },
+    },
+    required: ['category', 'keywords'],
+};
+
+const boqLineSchema = {
+    type: 'object',
+    properties: {
+        line: { type: 'integer' },
+        source_text: { type: 'string' },
+        description: { type: 'string' },
+        part_numbers: { type: 'array', items: { type: 'string' } },
+        quantity: { type: 'number' },
+        // true when no quantity was found and 1 was assumed
+        quantity_assumed: { type: 'boolean' },
+        duration_years: { type: ['number', 'null'] },
+        brand: { type: 'string' },
+        category_hint: { type: 'string' },
+        // Ready-made typesense_search arguments
+        search: boqSearchSchema,
+    },
+    required: ['line', 'source_text', 'part_numbers', 'quantity', 'search'],
+};
+
+registerTool('boq_parse', {
+    scope: 'search',
+    description: 'Parse a bill of quantities / RFQ (pasted text, CSV, or base64 XLSX) into line items with part numbers, '
+        + 'quantities, license durations and category hints. Each line carries `search`, ready to pass to typesense_search.',
+    inputSchema: {
+        type: 'object',
+        properties: boqInputProperties,
+        required: ['content'],
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            format: { type: 'string' },
+            sheet: { type: 'string' },
+            sheets: { type: 'array', items: { type: 'string' } },
+            lines: { type: 'array', items: boqLineSchema },
+            // More lines than the per-call limit; the rest were dropped
+            truncated: { type: 'boolean' },
+        },
+        required: ['format', 'lines', 'truncated'],
+        additionalProperties: false,
+    },
+    call: async (args) => {
+        const out = await parseBoq(args);
+        console.log('[BOQ] Parsed', out.lines.length, 'lines from', out.format);
+        return out;
+    },
+});
+
+const boqResolvedSchema = {
+    type: 'object',
+    properties: {
+        line: { type: 'integer' },
+        source_text: { type: 'string' },
+        quantity: { type: 'number' },
+        duration_years: { type: ['number', 'null'] },
+        // exact: part number found via product_get lookup; search: best typesense_search hit
+        match: { type: 'string', enum: ['exact', 'search'] },
+        matched_on: { type: 'string' },
+        product: productSchema,
+        alternatives: { type: 'array', items: productSchema },
+        // Filters dropped to find a match (e.g. a wrong category hint)
+        relaxed: { type: 'array', items: { type: 'string' } },
+        search: boqSearchSchema,
+        reason: { type: 'string' },
+    },
+    required: ['line', 'source_text'],
+};
+
+registerTool('boq_resolve', {
+    scope: 'search',
+    description: 'Resolve BOQ lines against the catalog in one call: pass `lines` from boq_parse (or the boq_parse arguments). '
+        + 'Part numbers are looked up exactly, other lines searched; lines run concurrently. Returns matched and unmatched lines.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            lines: { type: 'array', items: boqLineSchema, minItems: 1, maxItems: 500 },
+            ...boqInputProperties,
+        },
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            matched: { type: 'array', items: boqResolvedSchema },
+            unmatched: { type: 'array', items: boqResolvedSchema },
+            summary: {
+                type: 'object',
+                properties: { lines: { type: 'integer' }, matched: { type: 'integer' }, unmatched: { type: 'integer' } },
+                required: ['lines', 'matched', 'unmatched'],
+            },
+        },
+        required: ['matched', 'unmatched', 'summary'],
+        additionalProperties: false,
+    },
+    call: async ({ lines, ...parseArgs }, ctx) => {
+        if (!lines === !parseArgs.content) throw new Error('Pass exactly one of lines or content');
+        const boqLines = lines || (await parseBoq(parseArgs)).lines;
+        const { matched, unmatched } = await resolveBoq(boqLines, {
+            lookup: (ids) => getProducts(ids, { detail: 'summary' }),
+            // No ctx: per-search progress would interleave; resolveBoq reports progress per line instead
+            search: (args) => searchProducts(args),
+            onProgress: ctx.progress,
+        });
+        console.log('[BOQ] Resolved', matched.length, 'of', boqLines.length, 'lines');
+        return { matched, unmatched, summary: { lines: boqLines.length, matched: matched.length, unmatched: unmatched.length } };
+    },
+});
+
+// Fields kept on recommended bundle items: enough to explain the ranking and to pass to quote_add_line
+const BUNDLE_ITEM_FIELDS = ['objectID', 'vendor_mpn', 'category', 'item_type', 'short_description', 'image', 'list_price',
+    'bundle_score', 'rule_tag', 'bundle_recommended'];
+
+const bundleItemSchema = {
+    ...productSchema,
+    properties: {
+        ...productSchema.properties,
+        // Required with the product it was recommended for (rule_tag always_bundle)
+        mandatory: { type: 'boolean' },
+        // SKUs of the products listing this item in their bundle_options
+        for: { type: 'array', items: { type: 'string' } },
+        // bundle_score used for ranking (the item's own, else its base product's)
+        rank_score: { type: 'number' },
+        reasons: { type: 'array', items: { type: 'string' } },
+    },
+    required: [...productSchema.required, 'mandatory', 'for', 'rank_score', 'reasons'],
+};
+
+registerTool('product_bundles', {
+    scope: 'search',
+    description: 'Recommend bundle items and accessories for products (ids: MPN, SKU or objectID) or for every line of a quote. '
+        + 'Related SKUs come from bundle_options and are ranked by bundle_score; always_bundle items are flagged mandatory '
+        + 'and listed first. Items already in the request or quote are skipped. Pass items to quote_add_line as `product`.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            ids: { type: ['string', 'array'], items: { type: 'string' }, minItems: 1, maxItems: 50 },
+            // Units of the ids products; recommended quantities follow it (quote lines use their own quantity)
+            quantity: { type: 'integer', minimum: 1 },
+            quote_id: quoteIdSchema,
+            mandatory_only: { type: 'boolean' },
+        },
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            items: { type: 'array', items: bundleItemSchema },
+            // bundle_options SKUs not in the catalog
+            missing: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { sku: { type: 'string' }, for: { type: 'array', items: { type: 'string' } }, mandatory: { type: 'boolean' } },
+                    required: ['sku', 'for', 'mandatory'],
+                },
+            },
+            // ids / quote lines that could not be looked up
+            not_found: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['items', 'missing', 'not_found'],
+        additionalProperties: false,
+    },
+    call: async ({ ids, quantity = 1, quote_id, mandatory_only = false }, ctx) => {
+        if (!ids === !quote_id) throw new Error('Pass exactly one of ids or quote_id');
+        // [{ id, quantity }] to look up: the ids, or each quote line by objectID (else SKU)
+        let wanted;
+        if (quote_id) {
+            const quote = await getQuote(quote_id, ctx.auth);
+            wanted = quote.lines.map((l) => ({ id: l.objectID || l.sku, quantity: l.quantity }));
+        } else {
+            wanted = (Array.isArray(ids) ? ids : [ids]).map((id) => ({ id, quantity }));
+        }
+        const results = wanted.length ? await getProducts(wanted.map((w) => w.id), { detail: 'full' }) : [];
+        const byInput = new Map(results.map((r) => [r.input, r]));
+        const bases = [];
+        const notFound = [];
+        for (const w of wanted) {
+            const hit = byInput.get(String(w.id).trim());
+            if (hit?.found) bases.push({ product: hit.product, quantity: w.quantity });
+            else notFound.push(String(w.id));
+        }
+        const { items, missing } = await recommendBundles(bases, {
+            lookup: (skus) => getProducts(skus, { detail: 'summary', includeFields: BUNDLE_ITEM_FIELDS }),
         });
-        scored.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
-        return { products: scored };
+        const out = {
+            items: mandatory_only ? items.filter((i) => i.mandatory) : items,
+            missing: mandatory_only ? missing.filter((m) => m.mandatory) : missing,
+            not_found: [...new Set(notFound)],
+        };
+        console.log('[BUNDLES] Recommended', out.items.length, 'items for', bases.length, 'products');
+        return out;
     },
 });
 
 // Administrative tool to set Typesense config at runtime (no service restart required)
 registerTool('typesense_config_set', {
+    scope: 'admin',
     description: 'Set Typesense connection and query configuration at runtime.',
     inputSchema: {
         type: 'object',
@@ -301,9 +1387,12 @@ registerTool('typesense_config_set', {
             protocol: { type: 'string' },
             port: { type: 'number' },
             apiKey: { type: 'string' },
+            // Used only for synonym management (synonyms_*)
+            adminApiKey: { type: 'string' },
             collection: { type: 'string' },
             query_by: { type: 'string' },
             query_by_weights: { type: 'string' },
+            mock_mode: { type: 'string', enum: MOCK_MODES },
         },
         additionalProperties: false,
     },
@@ -318,14 +1407,16 @@ registerTool('typesense_config_set', {
             query_by: { type: 'string' },
             query_by_weights: { type: 'string' },
             apiKeyLength: { type: 'number' },
+            adminApiKeyLength: { type: 'number' },
+            mock_mode: { type: 'string' },
         },
         required: ['applied'],
         additionalProperties: false,
     },
     call: async (args = {}) => {
         try {
-            const { host, protocol, port, apiKey, collection, query_by, query_by_weights } = args;
-            console.log('[TS_CONFIG_SET] Received:', { host, protocol, port, apiKeyLength: apiKey?.length, collection, query_by, query_by_weights });
+            const { host, protocol, port, apiKey, adminApiKey, collection, query_by, query_by_weights, mock_mode } = args;
+            console.log('[TS_CONFIG_SET] Received:', { host, protocol, port, apiKeyLength: apiKey?.length, collection, query_by, query_by_weights, mock_mode });
             if (host) TS_HOST = sanitize(host);
             if (protocol) TS_PROTOCOL = sanitize(protocol);
             if (typeof port === 'number' && Number.isFinite(port)) TS_PORT = port;
@@ -334,10 +1425,12 @@ registerTool('typesense_config_set', {
                 TS_API_KEY_TRIMMED = sanitized;
                 console.log('[TS_CONFIG_SET] API key sanitized from', apiKey.length, 'to', sanitized?.length, 'chars');
             }
+            if (adminApiKey) TS_ADMIN_KEY = sanitize(adminApiKey);
             if (collection) TS_COLLECTION = sanitize(collection);
             // Reset cached query_by if override provided
             if (query_by) cachedQueryBy = sanitize(query_by);
             if (query_by_weights) process.env.TYPESENSE_QUERY_BY_WEIGHTS = sanitize(query_by_weights);
+            if (mock_mode) MOCK_MODE = mock_mode;
             console.log('[TS_CONFIG_SET] About to rebuild client...');
             rebuildTypesenseClient();
             console.log('[TS_CONFIG_SET] Rebuild complete. tsClient?', !!tsClient);
@@ -350,6 +1443,8 @@ registerTool('typesense_config_set', {
                 query_by: cachedQueryBy || sanitize(process.env.TYPESENSE_QUERY_BY) || '',
                 query_by_weights: sanitize(process.env.TYPESENSE_QUERY_BY_WEIGHTS) || '',
                 apiKeyLength: TS_API_KEY_TRIMMED?.length || 0,
+                adminApiKeyLength: TS_ADMIN_KEY?.length || 0,
+                mock_mode: MOCK_MODE,
             };
         } catch (e) {
             console.error('[TS_CONFIG_SET] Error:', e);
@@ -360,6 +1455,7 @@ registerTool('typesense_config_set', {
 
 // Health/diagnostics tool for Typesense connectivity
 registerTool('typesense_health', {
+    scope: 'admin',
     description: 'Report Typesense connectivity and collection schema fields.',
     inputSchema: { type: 'object', properties: {}, additionalProperties: false },
     outputSchema: {
@@ -371,6 +1467,7 @@ registerTool('typesense_health', {
             port: { type: 'number' },
             collection: { type: 'string' },
             fields: { type: 'array', items: { type: 'string' } },
+            mock_mode: { type: 'string' },
             error: { type: 'string' }
         },
         required: ['connected', 'host', 'protocol', 'port', 'collection'],
@@ -384,6 +1481,7 @@ registerTool('typesense_health', {
             port: typeof TS_PORT === 'number' ? TS_PORT : 0,
             collection: TS_COLLECTION || '',
             fields: [],
+            mock_mode: MOCK_MODE,
         };
         try {
             if (!tsClient) return { ...base, error: 'Client not initialized' };
@@ -421,3 +1519,276 @@ registerTool('typesense_health', {
     },
 });
 
+// --- Administrative tools: Typesense synonyms and the local MPN alias table ---
+const synonymSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        // Multi-way: every term matches the others. One-way (with root): searching root also matches synonyms
+        synonyms: { type: 'array', items: { type: 'string' } },
+        root: { type: 'string' },
+        locale: { type: 'string' },
+        symbols_to_index: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['id', 'synonyms'],
+};
+
+// Collection handle for synonym calls, with the admin key when one is configured
+function synonymsCollection() {
+    const client = tsAdminClient || tsClient;
+    if (!client || !TS_COLLECTION) {
+        throw new Error('Typesense is not configured: synonyms need a live collection. Set TYPESENSE_* env vars or call typesense_config_set.');
+    }
+    return client.collections(TS_COLLECTION);
+}
+
+const synonymError = (err, action) => {
+    const status = err?.httpStatus;
+    if (status === 401 || status === 403) {
+        return new Error(`Typesense refused to ${action} (HTTP ${status}); synonym management needs TYPESENSE_ADMIN_API_KEY (or adminApiKey in typesense_config_set)`);
+    }
+    return new Error(`Typesense failed to ${action}: ${err?.message || err}`);
+};
+
+registerTool('synonyms_list', {
+    scope: 'admin',
+    description: 'Admin: list the Typesense synonym sets of the configured collection.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            collection: { type: 'string' },
+            synonyms: { type: 'array', items: synonymSchema },
+        },
+        required: ['collection', 'synonyms'],
+        additionalProperties: false,
+    },
+    call: async () => {
+        const collection = synonymsCollection();
+        try {
+            const { synonyms = [] } = await collection.synonyms().retrieve();
+            return { collection: TS_COLLECTION, synonyms };
+        } catch (err) {
+            throw synonymError(err, 'list synonyms');
+        }
+    },
+});
+
+registerTool('synonyms_upsert', {
+    scope: 'admin',
+    description: 'Admin: create or replace a Typesense synonym set on the configured collection. Multi-way: `synonyms` '
+        + '(2 or more) all match each other. One-way: searching `root` also matches `synonyms`. Takes effect immediately.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,100}$' },
+            synonyms: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 100 },
+            root: { type: 'string', minLength: 1 },
+            locale: { type: 'string' },
+            symbols_to_index: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 1 } },
+        },
+        required: ['id', 'synonyms'],
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: { collection: { type: 'string' }, synonym: synonymSchema },
+        required: ['collection', 'synonym'],
+        additionalProperties: false,
+    },
+    call: async ({ id, ...body }) => {
+        if (!body.root && body.synonyms.length < 2) throw new Error('A multi-way synonym set needs at least 2 synonyms (or pass root for a one-way set)');
+        const collection = synonymsCollection();
+        try {
+            const synonym = await collection.synonyms().upsert(id, body);
+            console.log('[SYNONYMS] Upserted', id, 'on', TS_COLLECTION);
+            return { collection: TS_COLLECTION, synonym: { id, ...body, ...synonym } };
+        } catch (err) {
+            throw synonymError(err, `upsert synonym "${id}"`);
+        }
+    },
+});
+
+registerTool('synonyms_delete', {
+    scope: 'admin',
+    description: 'Admin: delete a Typesense synonym set from the configured collection.',
+    inputSchema: {
+        type: 'object',
+        properties: { id: { type: 'string', minLength: 1 } },
+        required: ['id'],
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: { collection: { type: 'string' }, id: { type: 'string' }, deleted: { type: 'boolean' } },
+        required: ['collection', 'id', 'deleted'],
+        additionalProperties: false,
+    },
+    call: async ({ id }) => {
+        const collection = synonymsCollection();
+        try {
+            await collection.synonyms(id).delete();
+        } catch (err) {
+            if (err?.httpStatus === 404) throw new Error(`Synonym "${id}" not found on ${TS_COLLECTION}`);
+            throw synonymError(err, `delete synonym "${id}"`);
+        }
+        console.log('[SYNONYMS] Deleted', id, 'from', TS_COLLECTION);
+        return { collection: TS_COLLECTION, id, deleted: true };
+    },
+});
+
+registerTool('mpn_aliases_list', {
+    scope: 'admin',
+    description: 'Admin: list the local MPN alias table (catalog MPN → vendor spellings, region suffixes, old SKUs) '
+        + 'applied to typesense_search keywords and product_get ids.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            path: { type: 'string' },
+            aliases: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+            loaded_at: { type: 'string' },
+            // Last load failure; the previous table stays in use
+            error: { type: 'string' },
+        },
+        required: ['path', 'aliases'],
+        additionalProperties: false,
+    },
+    call: async () => {
+        const state = await loadMpnAliases();
+        const out = { path: state.path, aliases: state.aliases };
+        if (state.loadedAt) out.loaded_at = state.loadedAt;
+        if (state.error) out.error = state.error;
+        return out;
+    },
+});
+
+registerTool('mpn_aliases_set', {
+    scope: 'admin',
+    description: 'Admin: set the aliases of a catalog MPN in the local alias table (an empty list removes the MPN). '
+        + 'Searches and lookups for an alias then use the MPN, without reindexing.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            mpn: { type: 'string', minLength: 1 },
+            aliases: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 100 },
+        },
+        required: ['mpn', 'aliases'],
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: { mpn: { type: 'string' }, aliases: { type: 'array', items: { type: 'string' } } },
+        required: ['mpn', 'aliases'],
+        additionalProperties: false,
+    },
+    call: async ({ mpn, aliases }) => {
+        const saved = await setMpnAliases(mpn.trim(), aliases);
+        console.log('[ALIASES]', saved.length ? `Set ${saved.length} aliases for` : 'Removed', mpn);
+        return { mpn: mpn.trim(), aliases: saved };
+    },
+});
+
+// --- Admin tools: per-client API keys (see src/api-keys.mjs) ---
+
+registerTool('api_keys_list', {
+    scope: 'admin',
+    description: 'Admin: list the API keys (id, scopes, expiry, status). Secrets are never returned.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    outputSchema: {
+        type: 'object',
+        properties: { keys: { type: 'array', items: apiKeySchema } },
+        required: ['keys'],
+        additionalProperties: false,
+    },
+    call: async () => ({ keys: await listApiKeys() }),
+});
+
+registerTool('api_keys_create', {
+    scope: 'admin',
+    description: `Admin: create an API key with scopes (${SCOPES.join(', ')}) and an optional expiry. `
+        + 'The token is shown only in this result; store it right away.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,39}$' },
+            scopes: { type: 'array', items: { type: 'string', enum: SCOPES }, minItems: 1 },
+            description: { type: 'string' },
+            // ISO date/time, or a duration such as 90d or 12h
+            expires: { type: 'string' },
+        },
+        required: ['id', 'scopes'],
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: { key: apiKeySchema, token: { type: 'string' } },
+        required: ['key', 'token'],
+        additionalProperties: false,
+    },
+    call: (args) => createApiKey(args),
+});
+
+registerTool('api_keys_revoke', {
+    scope: 'admin',
+    description: 'Admin: revoke an API key. Requests with it are rejected at once; the key stays listed as revoked.',
+    inputSchema: {
+        type: 'object',
+        properties: { id: { type: 'string', minLength: 1 } },
+        required: ['id'],
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: { key: apiKeySchema },
+        required: ['key'],
+        additionalProperties: false,
+    },
+    call: async ({ id }, ctx) => {
+        if (id === ctx.auth?.key_id) throw new Error(`Refusing to revoke "${id}", the key making this call`);
+        return { key: await revokeApiKey(id) };
+    },
+});
+
+registerTool('audit_query', {
+    scope: 'admin',
+    description: 'Admin: search the audit log of tool calls (caller key, tool, redacted arguments, duration, result size, '
+        + 'error, degraded flag). Filter by time, tool, caller, session or quote to replay what an agent ran.',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            // ISO date/time, or a duration back from now such as 30m, 24h or 7d
+            from: { type: 'string' },
+            to: { type: 'string' },
+            tool: {
+                anyOf: [
+                    { type: 'string', minLength: 1 },
+                    { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+                ],
+            },
+            key_id: { type: 'string', minLength: 1 },
+            session_id: { type: 'string', minLength: 1 },
+            quote_id: { type: 'string', minLength: 1 },
+            status: { type: 'string', enum: AUDIT_STATUSES },
+            order: { type: 'string', enum: ['asc', 'desc'] },
+            limit: { type: 'integer', minimum: 1, maximum: 1000 },
+        },
+        additionalProperties: false,
+    },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            entries: { type: 'array', items: auditEntrySchema },
+            count: { type: 'integer' },
+            // More entries match than `limit`; narrow the filters or page with from/to
+            truncated: { type: 'boolean' },
+            sink: { type: 'string' },
+        },
+        required: ['entries', 'count', 'truncated', 'sink'],
+        additionalProperties: false,
+    },
+    call: async (args = {}) => {
+        const { entries, truncated, sink } = await queryAudit(args);
+        return { entries, count: entries.length, truncated, sink };
+    },
+});
@@ -0,0 +1,114 @@
+// Local MPN alias table: vendor spellings, region suffixes and old SKUs → the MPN the catalog indexes.
+// Applied at query time to typesense_search keywords and product_get ids, so a recurring miss is fixed by
+// adding an alias instead of reindexing (Typesense synonyms do not apply to the exact filter lookups).
+//
+// File (MPN_ALIASES_FILE, default config/mpn-aliases.json), watched and rewritten by mpn_aliases_set:
+//   { "aliases": { "FG-60F": ["FG60F-BDL", "FortiGate 60F", "FG-60F-EU"] } }
+// Aliases are compared as mpn_normalized (lowercase, punctuation and spaces stripped).
+import { validateSchema, formatSchemaErrors } from './schema.mjs';
+import { normalizeMpn } from './products.mjs';
+import { createWatchedFile } from './watched-file.mjs';
+
+const ALIASES_PATH = process.env.MPN_ALIASES_FILE?.trim() || 'config/mpn-aliases.json';
+// Longest alias, in query tokens, tried when expanding a search query
+const MAX_ALIAS_TOKENS = 3;
+
+const aliasesFileSchema = {
+    type: 'object',
+    properties: {
+        aliases: {
+            type: 'object',
+            additionalProperties: { type: 'array', items: { type: 'string', minLength: 1 } },
+        },
+    },
+    required: ['aliases'],
+    additionalProperties: false,
+};
+
+// Normalized alias → MPN; an alias claimed by two MPNs is an error
+function buildIndex(aliases) {
+    const index = new Map();
+    for (const [mpn, list] of Object.entries(aliases)) {
+        for (const alias of list) {
+            const key = normalizeMpn(alias);
+            if (!key || key === normalizeMpn(mpn)) continue;
+            const other = index.get(key);
+            if (other && other !== mpn) throw new Error(`alias "${alias}" is listed for both "${other}" and "${mpn}"`);
+            index.set(key, mpn);
+        }
+    }
+    return index;
+}
+
+function parseAliases(data) {
+    const errors = validateSchema(aliasesFileSchema, data);
+    if (errors.length) throw new Error(formatSchemaErrors(errors));
+    return { aliases: data.aliases, index: buildIndex(data.aliases) };
+}
+
+// value: { aliases, index } where index maps normalized alias → catalog MPN
+const aliasesFile = createWatchedFile({
+    path: ALIASES_PATH,
+    parse: (text) => parseAliases(JSON.parse(text)),
+    empty: { aliases: {}, index: new Map() },
+    tag: 'ALIASES',
+    name: 'MPN aliases',
+    describe: ({ index }) => `${index.size} MPN aliases`,
+});
+
+// Loads once (then keeps the file watched) and returns { path, aliases, index, loadedAt, error }
+export async function loadMpnAliases() {
+    const { path, value, loadedAt, error } = await aliasesFile.load();
+    return { path, aliases: value.aliases, index: value.index, loadedAt, error };
+}
+
+// Catalog MPN for an alias, or undefined
+export async function resolveMpnAlias(id) {
+    const { index } = await loadMpnAliases();
+    return index.get(normalizeMpn(id));
+}
+
+// Replace aliases in a search query (single tokens or up to MAX_ALIAS_TOKENS adjacent ones, e.g.
+// "FortiGate 60F") by their MPN. Returns { query, replaced: [{ alias, mpn }] }.
+export async function expandMpnAliases(query) {
+    const { index } = await loadMpnAliases();
+    const tokens = String(query ?? '').split(/\s+/).filter(Boolean);
+    if (!index.size || !tokens.length) return { query, replaced: [] };
+    const out = [];
+    const replaced = [];
+    for (let i = 0; i < tokens.length;) {
+        let matched = 0;
+        for (let n = Math.min(MAX_ALIAS_TOKENS, tokens.length - i); n >= 1 && !matched; n--) {
+            const alias = tokens.slice(i, i + n).join(' ');
+            const mpn = index.get(normalizeMpn(alias));
+            if (mpn) {
+                out.push(mpn);
+                replaced.push({ alias, mpn });
+                matched = n;
+            }
+        }
+        if (matched) i += matched;
+        else out.push(tokens[i++]);
+    }
+    return { query: replaced.length ? out.join(' ') : query, replaced };
+}
+
+// Set (or, with an empty list, remove) the aliases of one MPN and rewrite the file
+export async function setMpnAliases(mpn, aliases) {
+    const { path, aliases: current } = await loadMpnAliases();
+    const next = { ...current };
+    const list = [...new Set(aliases.map((a) => a.trim()).filter(Boolean))];
+    if (list.length) next[mpn] = list;
+    else delete next[mpn];
+    // Validates (including aliases claimed twice) before anything is written
+    const parsed = parseAliases({ aliases: next });
+
+    const { mkdir, writeFile, rename } = await import('node:fs/promises');
+    const { dirname } = await import('node:path');
+    await mkdir(dirname(path), { recursive: true });
+    const tmp = `${path}.${process.pid}.tmp`;
+    await writeFile(tmp, `${JSON.stringify({ aliases: next }, null, 4)}\n`);
+    await rename(tmp, path);
+    aliasesFile.set(parsed);
+    return list;
+}
@@ -0,0 +1,273 @@
+// OAuth 2.1 for MCP clients (MCP authorization spec): this server is a resource server that accepts
+// JWT access tokens, advertises itself through protected-resource metadata (RFC 9728), and can
+// optionally be its own minimal authorization server (src/routes/oauth.mjs).
+//
+//   OAUTH_MODE      off (default) | resource: tokens from an external authorization server
+//                   | builtin: tokens issued here, approved with an API key (src/api-keys.mjs)
+//   OAUTH_ISSUER    issuer of the tokens; in builtin mode this server's public URL (default http://localhost:$PORT)
+//   OAUTH_RESOURCE  this MCP server's resource URL, advertised in the metadata (builtin default <issuer>/mcp)
+//   OAUTH_AUDIENCE  accepted `aud` values, comma-separated (default OAUTH_RESOURCE)
+//   OAUTH_JWKS_URL  signing keys of the external issuer (default: jwks_uri from the issuer's metadata)
+//   OAUTH_SCOPE_MAP token scope → tool scope, e.g. "qiq.read=search,qiq.quote=quote" (unmapped names pass as is)
+// Only WebCrypto and fetch are used, so verification also runs on the Edge runtime.
+import { SCOPES, getActiveKey } from './api-keys.mjs';
+
+const sanitize = (v) => (v ?? '').toString().trim();
+const trimSlash = (url) => url.replace(/\/+$/, '');
+const list = (v) => sanitize(v).split(',').map((s) => s.trim()).filter(Boolean);
+
+export const OAUTH_MODES = ['off', 'resource', 'builtin'];
+export const OAUTH_MODE = OAUTH_MODES.includes(sanitize(process.env.OAUTH_MODE)) ? sanitize(process.env.OAUTH_MODE) : 'off';
+export const oauthEnabled = OAUTH_MODE !== 'off';
+
+export const OAUTH_ISSUER = trimSlash(sanitize(process.env.OAUTH_ISSUER)
+    || (OAUTH_MODE === 'builtin' ? `http://localhost:${Number(process.env.PORT || 8080)}` : ''));
+export const OAUTH_RESOURCE = trimSlash(sanitize(process.env.OAUTH_RESOURCE) || (OAUTH_MODE === 'builtin' ? `${OAUTH_ISSUER}/mcp` : ''));
+const AUDIENCES = list(process.env.OAUTH_AUDIENCE).length ? list(process.env.OAUTH_AUDIENCE) : [OAUTH_RESOURCE].filter(Boolean);
+const JWKS_URL = sanitize(process.env.OAUTH_JWKS_URL);
+const SIGNING_KEY_FILE = sanitize(process.env.OAUTH_SIGNING_KEY_FILE) || 'data/oauth-signing-key.json';
+export const ACCESS_TOKEN_TTL = Number(process.env.OAUTH_TOKEN_TTL) || 3600;
+
+// Clock skew tolerated on exp / nbf, in seconds
+const LEEWAY_S = 60;
+const JWKS_TTL_MS = 10 * 60 * 1000;
+// An unknown kid refetches the JWKS (key rotation), at most this often
+const JWKS_REFETCH_MS = 30000;
+const FETCH_TIMEOUT_MS = 5000;
+
+function parseScopeMap(raw) {
+    const value = sanitize(raw);
+    if (!value) return {};
+    if (value.startsWith('{')) return JSON.parse(value);
+    return Object.fromEntries(list(value).map((pair) => pair.split('=').map((s) => s.trim())).filter(([k, v]) => k && v));
+}
+const SCOPE_MAP = parseScopeMap(process.env.OAUTH_SCOPE_MAP);
+
+if (OAUTH_MODE === 'resource' && !OAUTH_ISSUER) console.error('[OAUTH] OAUTH_MODE=resource needs OAUTH_ISSUER; every token will be rejected');
+if (oauthEnabled && !AUDIENCES.length) console.error('[OAUTH] Set OAUTH_RESOURCE or OAUTH_AUDIENCE; every token will be rejected');
+
+// --- base64url and JWS helpers ---
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function b64url(data) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data);
+    let bin = '';
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function b64urlDecode(str) {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (str.length % 4)) % 4));
+    return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+export const sha256 = async (text) => new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+
+// JWS alg → WebCrypto import / verify parameters
+const JWS_ALGS = {
+    RS256: { import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+    RS384: { import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+    RS512: { import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+    PS256: { import: { name: 'RSA-PSS', hash: 'SHA-256' }, verify: { name: 'RSA-PSS', saltLength: 32 } },
+    ES256: { import: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } },
+    ES384: { import: { name: 'ECDSA', namedCurve: 'P-384' }, verify: { name: 'ECDSA', hash: 'SHA-384' } },
+};
+
+// Only the key material: `use` / `key_ops` / `alg` on a published key must not block the import
+const publicJwk = ({ kty, n, e, crv, x, y }) => Object.fromEntries(Object.entries({ kty, n, e, crv, x, y }).filter(([, v]) => v !== undefined));
+
+// --- Built-in signing key (ES256), generated on first use and kept in OAUTH_SIGNING_KEY_FILE ---
+
+let signingKey;
+
+async function thumbprint({ crv, kty, x, y }) {
+    // RFC 7638: required members in lexicographic order
+    return b64url(await sha256(JSON.stringify({ crv, kty, x, y })));
+}
+
+async function loadSigningKey() {
+    const { readFile, writeFile, mkdir } = await import('node:fs/promises');
+    const { dirname } = await import('node:path');
+    let jwk;
+    try {
+        jwk = JSON.parse(await readFile(SIGNING_KEY_FILE, 'utf8'));
+    } catch (err) {
+        if (err?.code !== 'ENOENT') throw new Error(`Cannot read ${SIGNING_KEY_FILE}: ${err?.message || err}`);
+        const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+        jwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+        await mkdir(dirname(SIGNING_KEY_FILE), { recursive: true });
+        await writeFile(SIGNING_KEY_FILE, JSON.stringify(jwk, null, 2), { mode: 0o600 });
+        console.warn('[OAUTH] Generated signing key', SIGNING_KEY_FILE, '(tokens signed with an earlier key are no longer valid)');
+    }
+    const { kty, crv, x, y, d } = jwk;
+    const privateKey = await crypto.subtle.importKey('jwk', { kty, crv, x, y, d }, JWS_ALGS.ES256.import, false, ['sign']);
+    const kid = await thumbprint(jwk);
+    return { privateKey, publicJwk: { kty, crv, x, y, kid, alg: 'ES256', use: 'sig' } };
+}
+
+export function getSigningKey() {
+    signingKey ||= loadSigningKey().catch((err) => {
+        signingKey = undefined;
+        throw err;
+    });
+    return signingKey;
+}
+
+// Sign an access token with the built-in key (builtin mode, scripts/oauth-token.mjs)
+export async function signAccessToken({ sub, scopes, client_id, resource = OAUTH_RESOURCE, ttl = ACCESS_TOKEN_TTL }) {
+    const { privateKey, publicJwk: jwk } = await getSigningKey();
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'ES256', typ: 'at+jwt', kid: jwk.kid };
+    const claims = {
+        iss: OAUTH_ISSUER,
+        sub,
+        aud: resource,
+        iat: now,
+        exp: now + ttl,
+        jti: crypto.randomUUID(),
+        scope: scopes.join(' '),
+        ...(client_id ? { client_id } : {}),
+    };
+    const input = `${b64url(JSON.stringify(header))}.${b64url(JSON.stringify(claims))}`;
+    const sig = await crypto.subtle.sign(JWS_ALGS.ES256.verify, privateKey, encoder.encode(input));
+    return { access_token: `${input}.${b64url(sig)}`, expires_in: ttl, claims };
+}
+
+// --- Verification keys ---
+
+const jwks = { keys: [], fetchedAt: 0, uri: JWKS_URL };
+
+async function fetchJson(url) {
+    const res = await fetch(url, { headers: { accept: 'application/json' }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`${url} answered ${res.status}`);
+    return res.json();
+}
+
+// jwks_uri from the issuer's metadata (RFC 8414, then OpenID Connect discovery)
+async function discoverJwksUri() {
+    for (const path of ['/.well-known/oauth-authorization-server', '/.well-known/openid-configuration']) {
+        try {
+            const meta = await fetchJson(`${OAUTH_ISSUER}${path}`);
+            if (meta?.jwks_uri) return meta.jwks_uri;
+        } catch {
+            // try the next discovery document
+        }
+    }
+    throw new Error(`No jwks_uri found for ${OAUTH_ISSUER}; set OAUTH_JWKS_URL`);
+}
+
+async function verificationKeys({ refresh = false } = {}) {
+    if (OAUTH_MODE === 'builtin') return [(await getSigningKey()).publicJwk];
+    const stale = Date.now() - jwks.fetchedAt > (refresh ? JWKS_REFETCH_MS : JWKS_TTL_MS);
+    if (stale) {
+        jwks.uri ||= await discoverJwksUri();
+        const { keys } = await fetchJson(jwks.uri);
+        jwks.keys = Array.isArray(keys) ? keys : [];
+        jwks.fetchedAt = Date.now();
+    }
+    return jwks.keys;
+}
+
+async function findKey(kid, alg) {
+    const pick = (keys) => keys.find((k) => (kid ? k.kid === kid : true) && (!k.alg || k.alg === alg) && (!k.use || k.use === 'sig'));
+    return pick(await verificationKeys()) || pick(await verificationKeys({ refresh: true }));
+}
+
+// --- Access tokens ---
+
+export const looksLikeJwt = (token) => /^[\w-]+\.[\w-]+\.[\w-]+$/.test(sanitize(token));
+
+// Token scopes (`scope` string or `scp` list) → tool scopes
+function toolScopes(claims) {
+    const raw = typeof claims.scope === 'string' ? claims.scope.split(/\s+/) : [].concat(claims.scp ?? []).flatMap((s) => String(s).split(/\s+/));
+    return [...new Set(raw.filter(Boolean).map((s) => SCOPE_MAP[s] ?? s).filter((s) => SCOPES.includes(s)))];
+}
+
+async function verifyJwt(token) {
+    const [h, p, s] = sanitize(token).split('.');
+    const header = JSON.parse(decoder.decode(b64urlDecode(h)));
+    const claims = JSON.parse(decoder.decode(b64urlDecode(p)));
+    const alg = JWS_ALGS[header.alg];
+    if (!alg) throw new Error(`unsupported alg ${header.alg}`);
+    const jwk = await findKey(header.kid, header.alg);
+    if (!jwk) throw new Error(`unknown signing key ${header.kid || '(no kid)'}`);
+    const key = await crypto.subtle.importKey('jwk', publicJwk(jwk), alg.import, false, ['verify']);
+    if (!(await crypto.subtle.verify(alg.verify, key, b64urlDecode(s), encoder.encode(`${h}.${p}`)))) throw new Error('bad signature');
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + LEEWAY_S < now) throw new Error('expired');
+    if (typeof claims.nbf === 'number' && claims.nbf - LEEWAY_S > now) throw new Error('not yet valid');
+    if (!OAUTH_ISSUER || claims.iss !== OAUTH_ISSUER) throw new Error(`issuer ${claims.iss} is not ${OAUTH_ISSUER || '(unset)'}`);
+    const aud = [].concat(claims.aud ?? []);
+    if (!AUDIENCES.some((a) => aud.includes(a))) throw new Error(`audience ${aud.join(',') || '(none)'} not accepted`);
+    return claims;
+}
+
+// Verified access token → { key_id, scopes, client_id }, or undefined (the reason is logged).
+// Built-in tokens stay tied to the approving API key: revoking it invalidates them at once.
+export async function verifyAccessToken(token) {
+    let claims;
+    try {
+        claims = await verifyJwt(token);
+    } catch (err) {
+        console.warn('[OAUTH] Rejected access token:', err?.message || err);
+        return undefined;
+    }
+    let scopes = toolScopes(claims);
+    if (OAUTH_MODE === 'builtin') {
+        const key = await getActiveKey(claims.sub);
+        if (!key) {
+            console.warn('[OAUTH] Rejected access token: API key', claims.sub, 'is no longer active');
+            return undefined;
+        }
+        scopes = scopes.filter((s) => key.scopes.includes(s));
+    }
+    return { key_id: String(claims.sub || claims.client_id || claims.azp || 'oauth'), scopes, client_id: claims.client_id || claims.azp };
+}
+
+// --- Metadata and challenges ---
+
+const RESOURCE_ORIGIN = (() => {
+    try {
+        return OAUTH_RESOURCE ? new URL(OAUTH_RESOURCE).origin : undefined;
+    } catch {
+        console.error('[OAUTH] OAUTH_RESOURCE is not a URL:', OAUTH_RESOURCE);
+        return undefined;
+    }
+})();
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
+
+// Public base URL advertised in the metadata and in WWW-Authenticate: the origin of OAUTH_RESOURCE when it is
+// configured (always in builtin mode), else the request's own. X-Forwarded-Proto / -Host are only believed
+// behind a trusted proxy (TRUST_PROXY_HOPS), so clients cannot make the server advertise their URLs.
+export function requestBaseUrl(req) {
+    if (RESOURCE_ORIGIN) return RESOURCE_ORIGIN;
+    const forwarded = (name) => (TRUST_PROXY_HOPS ? String(req.headers[name] || '').split(',')[0].trim() : '');
+    const proto = forwarded('x-forwarded-proto') || (req.socket?.encrypted ? 'https' : 'http');
+    const host = forwarded('x-forwarded-host') || String(req.headers.host || 'localhost').trim();
+    return `${proto}://${host}`;
+}
+
+const resourceUrl = (base) => OAUTH_RESOURCE || `${base}/mcp`;
+
+// RFC 9728 protected-resource metadata
+export function protectedResourceMetadata(base) {
+    return {
+        resource: resourceUrl(base),
+        authorization_servers: [OAUTH_ISSUER || base],
+        scopes_supported: SCOPES,
+        bearer_methods_supported: ['header'],
+        resource_name: 'QuickItQuote MCP server',
+    };
+}
+
+// WWW-Authenticate value for a 401/403; points OAuth clients at the metadata when OAuth is on
+export function wwwAuthenticate(base, { error, scope } = {}) {
+    const params = [];
+    if (error) params.push(`error="${error}"`);
+    if (scope) params.push(`scope="${scope}"`);
+    if (oauthEnabled) params.push(`resource_metadata="${base}/.well-known/oauth-protected-resource"`);
+    return params.length ? `Bearer ${params.join(', ')}` : 'Bearer';
+}
@@ -0,0 +1,156 @@
+// Product document model for the quickitquote_products collection (see vw_TypesenseProducts.csv)
+// and normalization of Typesense hits into the product objects our tools return.
+import { exchangeRateSchema } from './currency.mjs';
+
+// Field → JSON type of the normalized value, grouped as in the field spec
+const FIELD_TYPES = {
+    // Identity & Pricing
+    objectID: 'string', mpn_normalized: 'string', vendor_mpn: 'string', sku: 'string', name: 'string',
+    brand: 'string', item_type: 'string', category: 'string', price: 'number', list_price: 'number',
+    availability: 'number', source: 'string', updated_at: 'string',
+    // Media & Documents
+    image: 'string', spec_sheet: 'string',
+    // Descriptions & Specs
+    short_description: 'string', purchase_pitch: 'string', prerequisites: 'string', ascii_hld: 'string',
+    ascii_lld: 'string', unit_weight: 'number', long_description: 'string', specs_table: 'json',
+    features_json: 'json', faqs: 'json', value_proposition: 'string', use_cases: 'json', compliance_tags: 'json',
+    // Rules Engine / Operational
+    product_rules: 'string', rule_tag: 'string', required_questions: 'json', bundle_options: 'string',
+    bundle_recommended: 'boolean', ai_training_notes: 'string', ai_log_path: 'string', priority_level: 'number',
+    enrichment_version: 'number', bundle_score: 'number', ai_last_check: 'string', backup_timestamp: 'string',
+    _ai_processed_at: 'string', _source: 'string', category_rules: 'string', scope_of_work: 'string',
+    data_quality_score: 'number', risk_score: 'number', ai_confidence: 'number', ai_version: 'string',
+    // SEO & Preview
+    seo_title: 'string', seo_description: 'string', preview_html: 'string',
+    // Meta & Tags
+    tags: 'string', synonyms: 'json', seo_keywords: 'string',
+    // Functional Metadata
+    function_group: 'string', function_desc: 'string',
+    // Extended UI & Derived Fields
+    brand_slug: 'string', display_name: 'string', formatted_price: 'string', formatted_specs: 'string',
+    rich_content: 'string', search_keywords: 'string', theme_color: 'string', highlight_html: 'boolean',
+    content_format: 'string', cta_button_text: 'string', cta_url: 'string',
+    // Classification
+    subcategory: 'string', brand_normalized: 'string',
+    // Pricing
+    price_usd: 'number', price_range: 'string',
+    // Inventory
+    stock_status: 'string',
+    // Source Tracking
+    data_origin: 'string', data_source: 'string',
+    // Promotion
+    is_promo: 'boolean', discount: 'number',
+    // Import Management
+    import_batch: 'number',
+    // Localization
+    language: 'string',
+    // Metadata
+    created_at: 'string',
+    // AI Enrichment
+    ai_tags: 'json',
+};
+
+export const PRODUCT_FIELDS = Object.keys(FIELD_TYPES);
+
+// Fields every product carries regardless of detail level
+const SUMMARY_FIELDS = ['sku', 'name', 'brand', 'price', 'quantity'];
+
+// JSON fields may be stored as serialized strings in Typesense, so strings are accepted too
+const jsonSchemaFor = (type) => {
+    if (type === 'json') return { type: ['array', 'object', 'string'] };
+    return { type };
+};
+
+// Availability business rules from the field spec: 0 → Back Order, 1–9 → Limited Stock, ≥10 → In Stock
+const STOCK_STATUSES = {
+    back_order: { en: 'Back Order', ar: 'الطلب المؤجل' },
+    limited_stock: { en: 'Limited Stock', ar: 'المخزون محدود' },
+    in_stock: { en: 'In Stock', ar: 'متوفر في المخزون' },
+};
+
+export function stockStatus(availability) {
+    if (typeof availability !== 'number' || !Number.isFinite(availability)) return undefined;
+    let status = 'in_stock';
+    if (availability <= 0) status = 'back_order';
+    else if (availability < 10) status = 'limited_stock';
+    return { status, label: STOCK_STATUSES[status].en, label_ar: STOCK_STATUSES[status].ar };
+}
+
+export const productSchema = {
+    type: 'object',
+    properties: {
+        ...Object.fromEntries(PRODUCT_FIELDS.map((f) => [f, jsonSchemaFor(FIELD_TYPES[f])])),
+        quantity: { type: 'number' },
+        score: { type: 'number' },
+        // Typesense relevance of the hit (search results only)
+        text_match: { type: 'number' },
+        // Set when prices were converted from the catalog currency (currency arg)
+        currency: { type: 'string' },
+        exchange_rate: exchangeRateSchema,
+        // Derived from availability; stock_status stays as indexed ("In Stock", "Out of Stock", "Preorder"), so it can
+        // be passed back to the stock_status filter. stock_label is in the requested locale, stock_label_ar always Arabic
+        stock_level: { type: 'string', enum: Object.keys(STOCK_STATUSES) },
+        stock_label: { type: 'string' },
+        stock_label_ar: { type: 'string' },
+        // Whether `quantity` can ship from stock, and how many units are missing if not
+        fulfillable: { type: 'boolean' },
+        shortfall: { type: 'number' },
+    },
+    required: SUMMARY_FIELDS,
+    additionalProperties: true,
+};
+
+function coerceField(field, value) {
+    if (value === undefined || value === null) return undefined;
+    switch (FIELD_TYPES[field]) {
+        case 'number': {
+            const n = typeof value === 'number' ? value : Number(value);
+            return Number.isFinite(n) ? n : undefined;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            return String(value).trim().toLowerCase() === 'true';
+        case 'json':
+            if (typeof value !== 'string') return value;
+            try { return JSON.parse(value); } catch { return value; }
+        default:
+            return typeof value === 'string' ? value : String(value);
+    }
+}
+
+// Turn a Typesense document into a product.
+//   detail: 'summary' (sku, name, brand, price, quantity) or 'full' (every field in the spec present on the doc)
+//   includeFields: extra spec fields to add to a summary
+//   locale: 'en' | 'ar' for localized labels
+export function normalizeProduct(doc = {}, { quantity = 1, index = 0, category, detail = 'summary', includeFields = [], locale = 'en' } = {}) {
+    const sku = doc.sku || doc.mpn_normalized || doc.object_id || doc.id || `TS-${index + 1}`;
+    const name = doc.name || doc.title || `${category} item`;
+    const brand = doc.brand || doc.vendor || 'Unknown';
+    const price = typeof doc.price === 'number' ? doc.price : Number(doc.price) || 0;
+    const product = { sku, name, brand, price, quantity };
+
+    const extra = detail === 'full' ? PRODUCT_FIELDS : includeFields;
+    for (const field of extra) {
+        if (SUMMARY_FIELDS.includes(field)) continue;
+        // Older documents use object_id instead of objectID
+        const raw = field === 'objectID' ? (doc.objectID ?? doc.object_id) : doc[field];
+        const value = coerceField(field, raw);
+        if (value !== undefined) product[field] = value;
+    }
+
+    // Stock is always reported when the document has an availability count
+    const availability = coerceField('availability', doc.availability);
+    const stock = stockStatus(availability);
+    if (stock) {
+        product.availability = availability;
+        product.stock_level = stock.status;
+        product.stock_label = locale === 'ar' ? stock.label_ar : stock.label;
+        product.stock_label_ar = stock.label_ar;
+        product.fulfillable = availability >= quantity;
+        if (!product.fulfillable) product.shortfall = quantity - Math.max(0, availability);
+    }
+    return product;
+}
+
+// Same normalization as the mpn_normalized field: lowercase, spaces and punctuation stripped
+export const normalizeMpn = (value) => String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
@@ -0,0 +1,424 @@
+// Quote exports: branded HTML/PDF documents, a CSV line-item sheet and a QuoteWerks import file,
+// in English or Arabic (RTL). Branding comes from QUOTE_BRAND_* env vars; PDFs are drawn with
+// pdfkit, which needs a TTF with Arabic glyphs (QUOTE_PDF_FONT) for Arabic output.
+
+export const EXPORT_FORMATS = ['html', 'pdf', 'csv', 'quotewerks'];
+export const EXPORT_LANGS = ['en', 'ar'];
+
+const sanitize = (v) => (v ?? '').toString().trim();
+const BRAND = {
+    name: sanitize(process.env.QUOTE_BRAND_NAME) || 'QuickItQuote',
+    logo: sanitize(process.env.QUOTE_BRAND_LOGO),
+    color: /^#[0-9a-f]{3,8}$/i.test(sanitize(process.env.QUOTE_BRAND_COLOR)) ? sanitize(process.env.QUOTE_BRAND_COLOR) : '#0b5cab',
+    footer: sanitize(process.env.QUOTE_BRAND_FOOTER),
+};
+// Hosts PDF exports may download line images from (exact names or *.domain); unset allows any public host.
+// Line images can come from caller-supplied products, so private and metadata addresses are always refused.
+const IMAGE_HOSTS = sanitize(process.env.QUOTE_IMAGE_HOSTS).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+const IMAGE_MAX_BYTES = 2 * 1024 * 1024;
+const IMAGE_TIMEOUT_MS = 3000;
+const PDF_FONT = sanitize(process.env.QUOTE_PDF_FONT);
+const PDF_FONT_BOLD = sanitize(process.env.QUOTE_PDF_FONT_BOLD) || PDF_FONT;
+
+const STRINGS = {
+    en: {
+        title: 'Quotation', quote: 'Quote', date: 'Date', customer: 'Customer', status: 'Status',
+        item: 'Item', sku: 'SKU', qty: 'Qty', years: 'Years', unit_price: 'Unit price', list_price: 'List price',
+        discount: 'Discount', total: 'Total', catalog_price: 'Catalog price',
+        list_total: 'List total', subtotal: 'Subtotal', tax: 'Tax', grand_total: 'Grand total', notes: 'Notes',
+    },
+    ar: {
+        title: 'عرض سعر', quote: 'رقم العرض', date: 'التاريخ', customer: 'العميل', status: 'الحالة',
+        item: 'المنتج', sku: 'رمز المنتج', qty: 'الكمية', years: 'السنوات', unit_price: 'سعر الوحدة', list_price: 'سعر القائمة',
+        discount: 'الخصم', total: 'الإجمالي', catalog_price: 'سعر الكتالوج',
+        list_total: 'إجمالي سعر القائمة', subtotal: 'المجموع الفرعي', tax: 'الضريبة', grand_total: 'الإجمالي الكلي', notes: 'ملاحظات',
+    },
+};
+
+// Latin digits in Arabic too: part numbers and prices stay readable for both audiences
+const LOCALES = { en: 'en-US', ar: 'ar-u-nu-latn' };
+
+function formatMoney(amount, currency, lang) {
+    try {
+        return new Intl.NumberFormat(LOCALES[lang], { style: 'currency', currency }).format(amount);
+    } catch {
+        return `${Number(amount).toFixed(2)} ${currency}`;
+    }
+}
+const formatDate = (iso, lang) => (iso ? new Date(iso).toLocaleDateString(LOCALES[lang], { year: 'numeric', month: 'long', day: 'numeric' }) : '');
+const customerLine = (c = {}) => [c.name, c.company, c.email].filter(Boolean).join(' · ');
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+const safeUrl = (u) => (/^https?:\/\//i.test(String(u ?? '')) ? u : '');
+
+export function renderQuoteHtml(quote, { lang = 'en' } = {}) {
+    const t = STRINGS[lang];
+    const dir = lang === 'ar' ? 'rtl' : 'ltr';
+    const money = (n) => escapeHtml(formatMoney(n, quote.currency, lang));
+    const rows = quote.lines.map((l, i) => `
+        <tr>
+            <td class="num">${i + 1}</td>
+            <td class="img">${safeUrl(l.image) ? `<img src="${escapeHtml(l.image)}" alt="">` : ''}</td>
+            <td>
+                <div class="name">${escapeHtml(l.name)}</div>
+                <div class="muted"><bdi>${escapeHtml(l.sku)}</bdi>${l.brand ? ` · ${escapeHtml(l.brand)}` : ''}</div>
+                ${l.short_description ? `<div class="desc">${escapeHtml(l.short_description)}</div>` : ''}
+                ${l.formatted_price ? `<div class="muted">${t.catalog_price}: <bdi>${escapeHtml(l.formatted_price)}</bdi></div>` : ''}
+                ${l.notes ? `<div class="muted">${escapeHtml(l.notes)}</div>` : ''}
+            </td>
+            <td class="num">${l.quantity}</td>
+            <td class="num">${l.duration_years}</td>
+            <td class="num">${money(l.unit_price)}</td>
+            <td class="num">${l.discount_percent ? `${l.discount_percent}%` : ''}</td>
+            <td class="num">${money(l.line_total)}</td>
+        </tr>`).join('');
+    const totals = quote.totals;
+    const totalRow = (label, value, cls = '') => `<tr class="${cls}"><th>${label}</th><td class="num">${value}</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${t.title} ${quote.id}`)}</title>
+<style>
+    body { font-family: ${lang === 'ar' ? "'Noto Naskh Arabic', Tahoma, " : ''}'Segoe UI', Arial, sans-serif; color: #222; margin: 32px; }
+    header { display: flex; justify-content: space-between; align-items: center; border-bottom: 4px solid ${BRAND.color}; padding-bottom: 12px; }
+    header img { max-height: 56px; }
+    h1 { color: ${BRAND.color}; margin: 0; font-size: 28px; }
+    .meta { margin: 16px 0; }
+    .meta div { margin: 2px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    .lines th { background: ${BRAND.color}; color: #fff; padding: 8px; text-align: start; }
+    .lines td { border-bottom: 1px solid #ddd; padding: 8px; vertical-align: top; }
+    .num { text-align: end; white-space: nowrap; }
+    .img img { width: 56px; height: 56px; object-fit: contain; }
+    .name { font-weight: 600; }
+    .muted { color: #666; font-size: 12px; }
+    .desc { font-size: 13px; margin-top: 4px; }
+    .totals { width: 320px; margin-inline-start: auto; margin-top: 16px; }
+    .totals th { text-align: start; font-weight: normal; padding: 4px 8px; }
+    .totals td { padding: 4px 8px; }
+    .totals .grand th, .totals .grand td { font-weight: 700; border-top: 2px solid ${BRAND.color}; }
+    footer { margin-top: 32px; color: #666; font-size: 12px; border-top: 1px solid #ddd; padding-top: 8px; }
+</style>
+</head>
+<body>
+<header>
+    <h1>${t.title}</h1>
+    ${safeUrl(BRAND.logo) ? `<img src="${escapeHtml(BRAND.logo)}" alt="${escapeHtml(BRAND.name)}">` : `<strong>${escapeHtml(BRAND.name)}</strong>`}
+</header>
+<section class="meta">
+    <div>${t.quote}: <bdi>${escapeHtml(quote.id)}</bdi></div>
+    <div>${t.date}: ${escapeHtml(formatDate(quote.updated_at, lang))}</div>
+    ${customerLine(quote.customer) ? `<div>${t.customer}: ${escapeHtml(customerLine(quote.customer))}</div>` : ''}
+</section>
+<table class="lines">
+    <thead><tr><th>#</th><th></th><th>${t.item}</th><th>${t.qty}</th><th>${t.years}</th><th>${t.unit_price}</th><th>${t.discount}</th><th>${t.total}</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+</table>
+<table class="totals">
+    ${totals.discount ? totalRow(t.list_total, money(totals.list_total)) + totalRow(t.discount, `${money(totals.discount)} (${totals.discount_percent}%)`) : ''}
+    ${totalRow(t.subtotal, money(totals.subtotal))}
+    ${totalRow(`${t.tax} (${quote.tax_percent || 0}%)`, money(totals.tax))}
+    ${totalRow(t.grand_total, money(totals.grand_total), 'grand')}
+</table>
+${quote.notes ? `<p><strong>${t.notes}:</strong> ${escapeHtml(quote.notes)}</p>` : ''}
+<footer>${escapeHtml(BRAND.footer || BRAND.name)}</footer>
+</body>
+</html>
+`;
+}
+
+// RFC 4180 cells; text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula
+function csvCell(v) {
+    if (v === undefined || v === null) return '';
+    if (typeof v === 'number') return String(v);
+    let s = String(v);
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+// UTF-8 BOM so Excel opens Arabic text correctly
+const toCsv = (rows) => `\uFEFF${rows.map((r) => r.map(csvCell).join(',')).join('\r\n')}\r\n`;
+
+export function renderQuoteCsv(quote, { lang = 'en' } = {}) {
+    const t = STRINGS[lang];
+    const header = ['#', t.sku, 'MPN', t.item, 'Brand', 'Description', t.qty, t.years, t.unit_price, t.list_price,
+        `${t.discount} %`, t.total, 'Currency'];
+    const rows = quote.lines.map((l, i) => [i + 1, l.sku, l.vendor_mpn, l.name, l.brand, l.short_description, l.quantity,
+        l.duration_years, l.unit_price, l.list_price, l.discount_percent, l.line_total, quote.currency]);
+    return toCsv([header, ...rows]);
+}
+
+// Column names are QuoteWerks DocumentItems fields, so the file maps 1:1 in QuoteWerks' CSV item import.
+// The term goes in QtyMultiplier1 (ExtendedPrice = QtyBase × QtyMultiplier1 × UnitPrice).
+export function renderQuoteWerks(quote) {
+    const header = ['ItemType', 'Manufacturer', 'ManufacturerPartNumber', 'InternalPartNumber', 'Description',
+        'QtyBase', 'QtyMultiplier1', 'UnitList', 'UnitPrice', 'ExtendedPrice', 'Notes'];
+    const rows = quote.lines.map((l) => ['Item', l.brand, l.vendor_mpn || l.sku, l.sku,
+        [l.name, l.short_description].filter(Boolean).join('\n'), l.quantity, l.duration_years,
+        l.list_price ?? l.unit_price, l.unit_price, l.line_total, l.notes]);
+    return toCsv([header, ...rows]);
+}
+
+// fontkit shapes Arabic and lays a right-to-left line out reversed, which would also reverse embedded
+// numbers and Latin words, so those runs are pre-reversed (and brackets mirrored). Passing `features` makes pdfkit hand
+// fontkit whole lines instead of word by word, which would otherwise leave the words in logical order.
+const isRtl = (str) => /[\u0600-\u06FF]/.test(str.match(/[A-Za-z\u0600-\u06FF]/)?.[0] || '');
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+const visualOrder = (str) => str
+    .replace(/[()[\]{}<>]/g, (ch) => MIRRORED[ch])
+    .replace(/[A-Za-z0-9](?:[A-Za-z0-9.,:%#/_ -]*[A-Za-z0-9%])?/g, (run) => [...run].reverse().join(''));
+
+function createTextWriter(doc) {
+    const prepare = (text) => {
+        const str = String(text ?? '');
+        return isRtl(str) ? [visualOrder(str), { features: [] }] : [str, {}];
+    };
+    return {
+        // Height of `text` in the current font when wrapped to `width`
+        measure(text, width) {
+            const [str, opts] = prepare(text);
+            return doc.heightOfString(str, { width, ...opts });
+        },
+        // Draw `text` wrapped to `width` at (x, y) and return its height
+        draw(text, x, y, { width, align = 'left', lineBreak } = {}) {
+            const [str, opts] = prepare(text);
+            doc.text(str, x, y, { width, align, lineBreak, ...opts });
+            return doc.heightOfString(str, { width, ...opts });
+        },
+    };
+}
+
+// Loopback, private, CGNAT, link-local (cloud metadata at 169.254.169.254), multicast and reserved ranges, IPv4
+// and IPv6, including IPv4-mapped, NAT64 and 6to4 forms that could reach them
+let blockedAddresses;
+async function getBlockedAddresses() {
+    if (blockedAddresses) return blockedAddresses;
+    const { BlockList } = await import('node:net');
+    const list = new BlockList();
+    for (const [net, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+        ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+        list.addSubnet(net, prefix, 'ipv4');
+    }
+    for (const [net, prefix] of [['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['2002::', 16],
+        ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+        list.addSubnet(net, prefix, 'ipv6');
+    }
+    blockedAddresses = list;
+    return list;
+}
+
+const imageHostAllowed = (hostname) => !IMAGE_HOSTS.length || IMAGE_HOSTS.some((h) => (h.startsWith('*.')
+    ? hostname.endsWith(h.slice(1)) && hostname.length > h.length - 1
+    : hostname === h));
+
+// GET an image with no redirects, a size and time cap, and the resolved address checked at connect time (so a
+// DNS answer cannot change between the check and the connection)
+async function downloadImage(url) {
+    const [net, dns, http, https] = await Promise.all([import('node:net'), import('node:dns'), import('node:http'), import('node:https')]);
+    const blocked = await getBlockedAddresses();
+    const isBlocked = (address, family) => blocked.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!imageHostAllowed(hostname)) throw new Error(`host ${hostname} is not in QUOTE_IMAGE_HOSTS`);
+    const literal = net.isIP(hostname);
+    if (literal && isBlocked(hostname, literal)) throw new Error(`address ${hostname} is not public`);
+    const lookup = (host, options, callback) => dns.lookup(host, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const bad = addresses.find((a) => isBlocked(a.address, a.family));
+        if (bad) return callback(new Error(`${host} resolves to ${bad.address}, which is not public`));
+        return callback(null, address, family);
+    });
+    let timer;
+    return new Promise((resolve, reject) => {
+        const req = (url.protocol === 'https:' ? https : http).get(url, { lookup }, (res) => {
+            if (res.statusCode !== 200 || !/image\/(png|jpe?g)/i.test(res.headers['content-type'] || '')) {
+                res.resume();
+                return reject(new Error(`HTTP ${res.statusCode} ${res.headers['content-type'] || ''}`.trim()));
+            }
+            if (Number(res.headers['content-length']) > IMAGE_MAX_BYTES) {
+                res.resume();
+                return reject(new Error(`larger than ${IMAGE_MAX_BYTES} bytes`));
+            }
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > IMAGE_MAX_BYTES) return req.destroy(new Error(`larger than ${IMAGE_MAX_BYTES} bytes`));
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+            res.on('error', reject);
+        });
+        // The whole download, not just each read, has to finish in time
+        timer = setTimeout(() => req.destroy(new Error(`not downloaded within ${IMAGE_TIMEOUT_MS} ms`)), IMAGE_TIMEOUT_MS);
+        req.on('error', reject);
+    }).finally(() => clearTimeout(timer));
+}
+
+async function fetchImage(url) {
+    if (!safeUrl(url)) return undefined;
+    try {
+        return await downloadImage(new URL(url));
+    } catch (err) {
+        // a missing picture shouldn't fail the export
+        console.warn('[QUOTE_EXPORT] Image not embedded:', url, '-', err?.message || err);
+        return undefined;
+    }
+}
+
+export async function renderQuotePdf(quote, { lang = 'en' } = {}) {
+    if (lang === 'ar' && !PDF_FONT) {
+        throw new Error('Arabic PDF export needs QUOTE_PDF_FONT (path to a TTF with Arabic glyphs, e.g. NotoNaskhArabic-Regular.ttf); use format=html meanwhile');
+    }
+    const { default: PDFDocument } = await import('pdfkit');
+    const t = STRINGS[lang];
+    const rtl = lang === 'ar';
+    const money = (n) => formatMoney(n, quote.currency, lang);
+    const [logo, ...images] = await Promise.all([fetchImage(BRAND.logo), ...quote.lines.map((l) => fetchImage(l.image))]);
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `${t.title} ${quote.id}`, Author: BRAND.name } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+    const writer = createTextWriter(doc);
+    const regular = PDF_FONT || 'Helvetica';
+    const bold = PDF_FONT ? PDF_FONT_BOLD : 'Helvetica-Bold';
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    // Columns are laid out left-to-right and mirrored for RTL
+    const cols = [
+        { key: 'item', w: 0.36 }, { key: 'qty', w: 0.09, num: true }, { key: 'years', w: 0.1, num: true },
+        { key: 'unit_price', w: 0.14, num: true }, { key: 'discount', w: 0.11, num: true }, { key: 'total', w: 0.2, num: true },
+    ];
+    let x = left;
+    for (const c of cols) {
+        c.width = c.w * width;
+        c.x = rtl ? left + width - (x - left) - c.width : x;
+        x += c.width;
+    }
+    const align = (c) => (c.num ? (rtl ? 'left' : 'right') : (rtl ? 'right' : 'left'));
+    const start = rtl ? 'right' : 'left';
+    const cell = (c, text, y) => writer.draw(text, c.x + 4, y, { width: c.width - 8, align: align(c) });
+
+    // Header band
+    doc.rect(left, 40, width, 4).fill(BRAND.color);
+    doc.fillColor(BRAND.color).font(bold).fontSize(22);
+    writer.draw(t.title, left, 56, { width, align: start });
+    if (logo) {
+        try {
+            doc.image(logo, rtl ? left : left + width - 120, 50, { fit: [120, 40] });
+        } catch { /* unsupported image data */ }
+    } else {
+        doc.fontSize(12);
+        writer.draw(BRAND.name, left, 62, { width, align: rtl ? 'left' : 'right' });
+    }
+    doc.fillColor('#222').font(regular).fontSize(10);
+    const meta = [`${t.quote}: ${quote.id}`, `${t.date}: ${formatDate(quote.updated_at, lang)}`];
+    if (customerLine(quote.customer)) meta.push(`${t.customer}: ${customerLine(quote.customer)}`);
+    let y = 96;
+    for (const m of meta) {
+        y += writer.draw(m, left, y, { width, align: start }) + 2;
+    }
+
+    const drawHeader = () => {
+        y += 8;
+        doc.rect(left, y, width, 20).fill(BRAND.color);
+        doc.fillColor('#fff').font(bold).fontSize(9);
+        for (const c of cols) cell(c, t[c.key], y + 6);
+        doc.fillColor('#222').font(regular);
+        y += 24;
+    };
+    drawHeader();
+    const bottom = doc.page.height - doc.page.margins.bottom - 20;
+    const itemCol = cols[0];
+    const thumb = 40;
+    quote.lines.forEach((l, i) => {
+        const image = images[i];
+        const textWidth = itemCol.width - 8 - (image ? thumb + 6 : 0);
+        const body = [`${l.sku}${l.brand ? ` · ${l.brand}` : ''}`, l.short_description, l.notes].filter(Boolean).join('\n');
+        doc.font(bold).fontSize(9);
+        const nameHeight = writer.measure(l.name, textWidth);
+        doc.font(regular).fontSize(8);
+        const bodyHeight = writer.measure(body, textWidth);
+        const rowHeight = Math.max(nameHeight + bodyHeight + 6, image ? thumb + 4 : 0);
+        if (y + rowHeight > bottom) {
+            doc.addPage();
+            y = doc.page.margins.top;
+            drawHeader();
+        }
+        let textX = itemCol.x + 4;
+        if (image) {
+            const imageX = rtl ? itemCol.x + itemCol.width - 4 - thumb : itemCol.x + 4;
+            try {
+                doc.image(image, imageX, y, { fit: [thumb, thumb] });
+                if (!rtl) textX += thumb + 6;
+            } catch { /* unsupported image data */ }
+        }
+        doc.font(bold).fontSize(9);
+        writer.draw(l.name, textX, y, { width: textWidth, align: start });
+        doc.font(regular).fontSize(8).fillColor('#666');
+        writer.draw(body, textX, y + nameHeight + 2, { width: textWidth, align: start });
+        doc.fillColor('#222').fontSize(9);
+        cell(cols[1], l.quantity, y);
+        cell(cols[2], l.duration_years, y);
+        cell(cols[3], money(l.unit_price), y);
+        cell(cols[4], l.discount_percent ? `${l.discount_percent}%` : '', y);
+        cell(cols[5], money(l.line_total), y);
+        y += rowHeight + 4;
+        doc.moveTo(left, y - 2).lineTo(left + width, y - 2).strokeColor('#ddd').lineWidth(0.5).stroke();
+    });
+
+    // Totals block under the amount columns
+    const totals = [];
+    if (quote.totals.discount) {
+        totals.push([t.list_total, money(quote.totals.list_total)]);
+        totals.push([`${t.discount} (${quote.totals.discount_percent}%)`, money(quote.totals.discount)]);
+    }
+    totals.push([t.subtotal, money(quote.totals.subtotal)], [`${t.tax} (${quote.tax_percent || 0}%)`, money(quote.totals.tax)],
+        [t.grand_total, money(quote.totals.grand_total)]);
+    if (y + totals.length * 16 + 40 > bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+    }
+    y += 6;
+    const labelCol = { x: rtl ? cols[4].x : cols[3].x, width: cols[3].width + cols[4].width };
+    totals.forEach(([label, value], i) => {
+        const last = i === totals.length - 1;
+        doc.font(last ? bold : regular).fontSize(last ? 10 : 9);
+        writer.draw(label, labelCol.x + 4, y, { width: labelCol.width - 8, align: start });
+        cell(cols[5], value, y);
+        y += 16;
+    });
+    if (quote.notes) {
+        doc.font(regular).fontSize(9);
+        writer.draw(`${t.notes}: ${quote.notes}`, left, y + 10, { width, align: start });
+    }
+    // Inside the bottom margin, so drawn without wrapping (wrapping there would start a new page)
+    doc.fontSize(8).fillColor('#666');
+    writer.draw(BRAND.footer || BRAND.name, left, doc.page.height - doc.page.margins.bottom - 10, { width, align: 'center', lineBreak: false });
+    doc.end();
+    return done;
+}
+
+const EXTENSIONS = { html: 'html', pdf: 'pdf', csv: 'csv', quotewerks: 'csv' };
+const MIME_TYPES = { html: 'text/html; charset=utf-8', pdf: 'application/pdf', csv: 'text/csv; charset=utf-8', quotewerks: 'text/csv; charset=utf-8' };
+
+// Returns { filename, mime_type, body } where body is a string, or a Buffer for PDFs
+export async function exportQuote(quote, { format = 'html', lang = 'en' } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+    if (!EXPORT_LANGS.includes(lang)) throw new Error(`Unknown export language "${lang}" (expected ${EXPORT_LANGS.join(', ')})`);
+    let body;
+    switch (format) {
+        case 'html': body = renderQuoteHtml(quote, { lang }); break;
+        case 'pdf': body = await renderQuotePdf(quote, { lang }); break;
+        case 'csv': body = renderQuoteCsv(quote, { lang }); break;
+        default: body = renderQuoteWerks(quote);
+    }
+    const suffix = format === 'quotewerks' ? '-quotewerks' : (lang === 'en' ? '' : `-${lang}`);
+    return { filename: `${quote.id}${suffix}.${EXTENSIONS[format]}`, mime_type: MIME_TYPES[format], body };
+}
@@ -0,0 +1,239 @@
+// Quotes: lines built from typesense_search / product_get products, priced and totalled on every change.
+// Persisted through a document store (QUOTE_STORE=memory|file|sqlite, QUOTE_STORE_PATH).
+//
+// Pricing per line: price is per unit per year, so
+//   line_total = unit_price × quantity × duration_years
+//   list_total = list_price × quantity × duration_years (line_total when the product has no list_price)
+//   discount   = list_total − line_total
+// Quote totals: subtotal = Σ line_total, tax = subtotal × tax_percent / 100, grand_total = subtotal + tax.
+// Catalog prices are converted to the quote currency when a line is added; the rate is kept on the line.
+//
+// Access: a quote records the key_id of the API key that created it, and only that key (or an admin key) may read
+// or change it. `auth` is the caller's { key_id, scopes }, undefined when auth is off. To other keys a quote they
+// cannot access is simply not found, so ids cannot be probed.
+import { createStore, STORE_KINDS } from './stores.mjs';
+import { CATALOG_CURRENCY, exchangeRateSchema, getExchangeRate, convertAmount, formatPrice } from './currency.mjs';
+
+const sanitize = (v) => (v ?? '').toString().trim();
+
+const QUOTE_STORE_KIND = STORE_KINDS.includes(sanitize(process.env.QUOTE_STORE)) ? sanitize(process.env.QUOTE_STORE) : 'memory';
+const quoteStore = createStore({ kind: QUOTE_STORE_KIND, path: sanitize(process.env.QUOTE_STORE_PATH) || undefined, name: 'quotes' });
+const DEFAULT_CURRENCY = sanitize(process.env.QUOTE_CURRENCY).toUpperCase() || CATALOG_CURRENCY;
+const DEFAULT_TAX_PERCENT = Number(process.env.QUOTE_TAX_PERCENT) || 0;
+
+// Product fields copied onto a line so the quote stays readable (and exportable) if the catalog changes
+const LINE_PRODUCT_FIELDS = ['sku', 'name', 'brand', 'objectID', 'vendor_mpn', 'mpn_normalized', 'category', 'item_type',
+    'short_description', 'image', 'spec_sheet', 'formatted_price'];
+
+const money = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const lineSchema = {
+    type: 'object',
+    properties: {
+        line_id: { type: 'string' },
+        ...Object.fromEntries(LINE_PRODUCT_FIELDS.map((f) => [f, { type: 'string' }])),
+        quantity: { type: 'number' },
+        duration_years: { type: 'number' },
+        unit_price: { type: 'number' },
+        list_price: { type: 'number' },
+        line_total: { type: 'number' },
+        list_total: { type: 'number' },
+        discount: { type: 'number' },
+        discount_percent: { type: 'number' },
+        notes: { type: 'string' },
+        // Catalog → quote currency rate used for the prices (absent when no conversion was needed)
+        exchange_rate: exchangeRateSchema,
+    },
+    required: ['line_id', 'sku', 'name', 'quantity', 'duration_years', 'unit_price', 'line_total'],
+};
+
+export const quoteSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        status: { type: 'string' },
+        customer: { type: 'object', additionalProperties: true },
+        currency: { type: 'string' },
+        // Only on quotes viewed in another currency (quote_get currency): stored currency → currency
+        exchange_rate: exchangeRateSchema,
+        tax_percent: { type: 'number' },
+        notes: { type: 'string' },
+        created_at: { type: 'string' },
+        updated_at: { type: 'string' },
+        lines: { type: 'array', items: lineSchema },
+        totals: {
+            type: 'object',
+            properties: {
+                line_count: { type: 'integer' },
+                list_total: { type: 'number' },
+                discount: { type: 'number' },
+                discount_percent: { type: 'number' },
+                subtotal: { type: 'number' },
+                tax: { type: 'number' },
+                grand_total: { type: 'number' },
+            },
+            required: ['line_count', 'subtotal', 'tax', 'grand_total'],
+        },
+    },
+    required: ['id', 'currency', 'lines', 'totals'],
+};
+
+// Recompute every derived amount from quantities and unit prices
+export function priceQuote(quote) {
+    let listTotal = 0;
+    let subtotal = 0;
+    const lines = quote.lines.map((line) => {
+        const units = line.quantity * line.duration_years;
+        const lineTotal = money(line.unit_price * units);
+        const lineList = typeof line.list_price === 'number' ? money(line.list_price * units) : lineTotal;
+        const discount = money(lineList - lineTotal);
+        listTotal += lineList;
+        subtotal += lineTotal;
+        return {
+            ...line,
+            line_total: lineTotal,
+            list_total: lineList,
+            discount,
+            discount_percent: lineList > 0 ? money((discount / lineList) * 100) : 0,
+        };
+    });
+    subtotal = money(subtotal);
+    listTotal = money(listTotal);
+    const tax = money((subtotal * (quote.tax_percent || 0)) / 100);
+    const discount = money(listTotal - subtotal);
+    return {
+        ...quote,
+        lines,
+        totals: {
+            line_count: lines.length,
+            list_total: listTotal,
+            discount,
+            discount_percent: listTotal > 0 ? money((discount / listTotal) * 100) : 0,
+            subtotal,
+            tax,
+            grand_total: money(subtotal + tax),
+        },
+    };
+}
+
+// fx converts the product's prices to the quote currency; an explicit unit_price is already in it
+function lineFromProduct(product, { line_id, quantity, duration_years = 1, unit_price, notes, fx }) {
+    const line = { line_id };
+    for (const f of LINE_PRODUCT_FIELDS) {
+        if (product[f] !== undefined && product[f] !== null && product[f] !== '') line[f] = String(product[f]);
+    }
+    line.quantity = quantity ?? (typeof product.quantity === 'number' ? product.quantity : 1);
+    line.duration_years = duration_years;
+    const price = typeof product.price === 'number' ? product.price : Number(product.price) || 0;
+    line.unit_price = unit_price ?? convertAmount(price, fx);
+    const list = typeof product.list_price === 'number' ? product.list_price : Number(product.list_price);
+    if (Number.isFinite(list) && list > 0) line.list_price = convertAmount(list, fx);
+    if (fx.from !== fx.to) {
+        line.exchange_rate = fx;
+        // The catalog string is in the catalog currency
+        line.formatted_price = formatPrice(convertAmount(price, fx), fx.to);
+    }
+    if (notes) line.notes = notes;
+    return line;
+}
+
+// Quote ids are readable and safe as file names / keys, e.g. Q-20250101-3F9A2C
+const newQuoteId = () => `Q-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomUUID().slice(0, 6).toUpperCase()}`;
+
+// Quotes created while auth was off have no key_id, so only admin keys reach them once auth is on
+const canAccess = (quote, auth) => !auth || auth.scopes.includes('admin') || (quote.key_id !== undefined && quote.key_id === auth.key_id);
+
+async function loadQuote(id, auth) {
+    const quote = await quoteStore.get(id);
+    if (!quote || !canAccess(quote, auth)) throw new Error(`Quote "${id}" not found`);
+    return quote;
+}
+
+// Serialize changes per quote so concurrent calls (e.g. a JSON-RPC batch of add_line) don't drop lines
+const locks = new Map();
+async function withQuote(id, auth, fn) {
+    const prev = locks.get(id) || Promise.resolve();
+    const run = prev.catch(() => {}).then(async () => {
+        const quote = await loadQuote(id, auth);
+        const next = priceQuote({ ...(await fn(quote)), updated_at: new Date().toISOString() });
+        await quoteStore.put(id, next);
+        return next;
+    });
+    locks.set(id, run);
+    try {
+        return await run;
+    } finally {
+        if (locks.get(id) === run) locks.delete(id);
+    }
+}
+
+const nextLineId = (quote) => `L${(quote.line_seq || 0) + 1}`;
+
+export async function createQuote({ customer, currency, tax_percent, notes } = {}, auth) {
+    // Fail now rather than on the first line when there is no rate to the quote currency
+    await getExchangeRate(CATALOG_CURRENCY, currency || DEFAULT_CURRENCY);
+    const now = new Date().toISOString();
+    const quote = priceQuote({
+        id: newQuoteId(),
+        ...(auth?.key_id !== undefined ? { key_id: auth.key_id } : {}),
+        status: 'draft',
+        ...(customer ? { customer } : {}),
+        currency: currency || DEFAULT_CURRENCY,
+        tax_percent: tax_percent ?? DEFAULT_TAX_PERCENT,
+        ...(notes ? { notes } : {}),
+        created_at: now,
+        updated_at: now,
+        line_seq: 0,
+        lines: [],
+    });
+    await quoteStore.put(quote.id, quote);
+    return quote;
+}
+
+export function getQuote(id, auth) {
+    return loadQuote(id, auth);
+}
+
+export function addQuoteLine(id, product, opts = {}, auth) {
+    return withQuote(id, auth, async (quote) => {
+        const fx = await getExchangeRate(product.currency || CATALOG_CURRENCY, quote.currency);
+        const line = lineFromProduct(product, { ...opts, line_id: nextLineId(quote), fx });
+        return { ...quote, line_seq: (quote.line_seq || 0) + 1, lines: [...quote.lines, line] };
+    });
+}
+
+export function updateQuoteLine(id, lineId, changes = {}, auth) {
+    return withQuote(id, auth, (quote) => {
+        const idx = quote.lines.findIndex((l) => l.line_id === lineId);
+        if (idx < 0) throw new Error(`Line "${lineId}" not found on quote "${id}"`);
+        const line = { ...quote.lines[idx] };
+        for (const key of ['quantity', 'duration_years', 'unit_price', 'notes']) {
+            if (changes[key] !== undefined) line[key] = changes[key];
+        }
+        const lines = [...quote.lines];
+        lines[idx] = line;
+        return { ...quote, lines };
+    });
+}
+
+export function removeQuoteLine(id, lineId, auth) {
+    return withQuote(id, auth, (quote) => {
+        if (!quote.lines.some((l) => l.line_id === lineId)) throw new Error(`Line "${lineId}" not found on quote "${id}"`);
+        return { ...quote, lines: quote.lines.filter((l) => l.line_id !== lineId) };
+    });
+}
+
+// The quote with every amount in another currency, for viewing and exports; the stored quote is unchanged
+export async function convertQuote(quote, currency) {
+    if (!currency || currency === quote.currency) return quote;
+    const fx = await getExchangeRate(quote.currency, currency);
+    const lines = quote.lines.map((line) => {
+        const converted = { ...line, unit_price: convertAmount(line.unit_price, fx) };
+        if (typeof line.list_price === 'number') converted.list_price = convertAmount(line.list_price, fx);
+        return converted;
+    });
+    return priceQuote({ ...quote, currency: fx.to, exchange_rate: fx, lines });
+}
+
+// Strip bookkeeping before a quote leaves the server
+export const publicQuote = ({ line_seq, key_id, ...quote }) => quote;
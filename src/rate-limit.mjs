@@ -0,0 +1,271 @@
+// Rate limits and daily quotas, enforced by the MCP core for every transport:
+//   RATE_LIMIT_PER_IP   JSON-RPC requests per client IP (default 600/min)
+//   RATE_LIMIT_PER_KEY  JSON-RPC requests per API key / OAuth subject (default 300/min)
+//   RATE_LIMIT_TOOLS    tools/call per key per tool, e.g. "typesense_search=60/min,boq_resolve=10/min"
+//                       (the defaults also hold quote_export=20/min, which GET /quotes/:id/export is charged to)
+//   RATE_QUOTA_DAILY    tools/call per key per UTC day (default unlimited)
+//   RATE_QUOTA_TOOLS    per key per tool per UTC day, e.g. "typesense_search=2000"
+//   RATE_LIMIT_OAUTH_REGISTER  OAuth dynamic client registrations per client IP (default 10/hour)
+//   RATE_LIMITS=off     disables all of the above
+// Rates read N/sec, N/min, N/hour or N/day. Without auth, the client IP stands in for the key.
+// Windows are sliding (the previous window's count weighted by how much of it still overlaps), quotas are
+// fixed UTC days. Counters live in a store: memory (default, per instance) or redis (Upstash-compatible REST,
+// RATE_LIMIT_REDIS_URL / RATE_LIMIT_REDIS_TOKEN) so every Cloud Run instance shares them; setRateLimitStore()
+// plugs in anything else. If the store fails, requests are let through and the error is logged.
+
+const sanitize = (v) => (v ?? '').toString().trim();
+
+// JSON-RPC error code for limited requests (implementation-defined server error range; 429 as a mnemonic)
+export const RATE_LIMITED = -32029;
+
+const DAY_MS = 86400000;
+const UNITS = { s: 1000, sec: 1000, second: 1000, m: 60000, min: 60000, minute: 60000, h: 3600000, hour: 3600000, d: DAY_MS, day: DAY_MS };
+const UNIT_NAMES = { 1000: 'second', 60000: 'minute', 3600000: 'hour', [DAY_MS]: 'day' };
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
+const REDIS_TIMEOUT_MS = 2000;
+
+// "30/min" → { limit: 30, windowMs: 60000 }
+export function parseRate(value) {
+    const m = sanitize(value).match(/^(\d+)\s*\/\s*([a-z]+)$/i);
+    const windowMs = m && UNITS[m[2].toLowerCase().replace(/s$/, '') || 's'];
+    if (!m || !windowMs || !Number(m[1])) throw new Error(`Invalid rate "${value}" (expected e.g. 30/min)`);
+    return { limit: Number(m[1]), windowMs };
+}
+
+// "a=30/min,b=5/min" or a JSON object → { a: value, b: value }
+function parsePairs(raw, parse) {
+    const value = sanitize(raw);
+    if (!value) return {};
+    const entries = value.startsWith('{')
+        ? Object.entries(JSON.parse(value))
+        : value.split(',').map((pair) => pair.split('=').map((s) => s.trim())).filter(([k, v]) => k && v);
+    return Object.fromEntries(entries.map(([k, v]) => [k, parse(v)]));
+}
+
+const parseQuota = (v) => {
+    if (!(Number(v) > 0)) throw new Error(`Invalid quota "${v}" (expected a positive number)`);
+    return { limit: Number(v), windowMs: DAY_MS, fixed: true };
+};
+
+function loadConfig(env) {
+    if (sanitize(env.RATE_LIMITS) === 'off') return { enabled: false };
+    try {
+        return {
+            enabled: true,
+            ip: parseRate(env.RATE_LIMIT_PER_IP || '600/min'),
+            key: parseRate(env.RATE_LIMIT_PER_KEY || '300/min'),
+            tools: parsePairs(env.RATE_LIMIT_TOOLS ?? 'typesense_search=60/min,boq_resolve=10/min,quote_export=20/min', parseRate),
+            daily: sanitize(env.RATE_QUOTA_DAILY) ? parseQuota(env.RATE_QUOTA_DAILY) : undefined,
+            dailyTools: parsePairs(env.RATE_QUOTA_TOOLS, parseQuota),
+            register: parseRate(env.RATE_LIMIT_OAUTH_REGISTER || '10/hour'),
+        };
+    } catch (err) {
+        // A typo must not silently remove the protection: fall back to the defaults
+        console.error('[RATE_LIMIT] Invalid configuration, using defaults:', err?.message || err);
+        return loadConfig({});
+    }
+}
+const config = loadConfig(process.env);
+
+// --- Counter stores: get(keys) → counts, incr([{ key, ttlMs }]) → new counts, decr(keys) ---
+// incr must be atomic per key: the count it returns includes this hit and every hit before it.
+
+function createMemoryStore() {
+    const counters = new Map();
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, c] of counters) if (c.expiresAt <= now) counters.delete(key);
+    }, 60000);
+    sweep.unref?.();
+    return {
+        kind: 'memory',
+        async get(keys) {
+            const now = Date.now();
+            return keys.map((k) => {
+                const c = counters.get(k);
+                return c && c.expiresAt > now ? c.count : 0;
+            });
+        },
+        async incr(entries) {
+            const now = Date.now();
+            return entries.map(({ key, ttlMs }) => {
+                const c = counters.get(key);
+                if (c && c.expiresAt > now) return ++c.count;
+                counters.set(key, { count: 1, expiresAt: now + ttlMs });
+                return 1;
+            });
+        },
+        async decr(keys) {
+            for (const key of keys) {
+                const c = counters.get(key);
+                if (c && c.count > 0) c.count--;
+            }
+        },
+    };
+}
+
+// Redis over its REST API (Upstash, or any proxy speaking the same /pipeline protocol)
+function createRedisRestStore({ url, token }) {
+    const pipeline = async (commands) => {
+        const res = await fetch(`${url.replace(/\/+$/, '')}/pipeline`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(commands),
+            signal: AbortSignal.timeout(REDIS_TIMEOUT_MS),
+        });
+        if (!res.ok) throw new Error(`Redis REST answered ${res.status}`);
+        return (await res.json()).map((r) => {
+            if (r?.error) throw new Error(`Redis: ${r.error}`);
+            return r?.result;
+        });
+    };
+    return {
+        kind: 'redis',
+        async get(keys) {
+            if (!keys.length) return [];
+            const [values] = await pipeline([['MGET', ...keys]]);
+            return (values || []).map((v) => Number(v) || 0);
+        },
+        async incr(entries) {
+            if (!entries.length) return [];
+            const results = await pipeline(entries.flatMap(({ key, ttlMs }) => [['INCR', key], ['PEXPIRE', key, String(ttlMs)]]));
+            // INCR answers the new value; every other result is PEXPIRE's
+            return entries.map((_, i) => Number(results[i * 2]) || 0);
+        },
+        async decr(keys) {
+            if (!keys.length) return;
+            await pipeline(keys.map((key) => ['DECR', key]));
+        },
+    };
+}
+
+function createRateLimitStore() {
+    const kind = sanitize(process.env.RATE_LIMIT_STORE) || 'memory';
+    if (kind === 'redis') {
+        const url = sanitize(process.env.RATE_LIMIT_REDIS_URL);
+        if (url) return createRedisRestStore({ url, token: sanitize(process.env.RATE_LIMIT_REDIS_TOKEN) });
+        console.error('[RATE_LIMIT] RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL; counting in memory');
+    } else if (kind !== 'memory') {
+        console.error(`[RATE_LIMIT] Unknown RATE_LIMIT_STORE "${kind}" (expected memory, redis); counting in memory`);
+    }
+    return createMemoryStore();
+}
+
+let store = config.enabled ? createRateLimitStore() : undefined;
+
+// Plug in another counter store ({ get(keys), incr(entries), decr(keys) }), e.g. for a shared database
+export function setRateLimitStore(next) {
+    store = next;
+}
+
+// --- Limiting ---
+
+const describe = ({ limit, windowMs, unit }) => `${limit} ${unit} per ${UNIT_NAMES[windowMs] || `${windowMs / 1000} s`}`;
+
+// Seconds until one more hit fits under the rule
+function retryAfter({ rule, elapsed, cur, prev }) {
+    let waitMs = rule.windowMs - elapsed;
+    if (cur + 1 <= rule.limit && prev > 0) {
+        // The previous window's weight has to decay until cur + prev × weight + 1 ≤ limit
+        waitMs = rule.windowMs * (1 - (rule.limit - cur - 1) / prev) - elapsed;
+    }
+    return Math.max(1, Math.ceil(waitMs / 1000));
+}
+
+// Count the hit against every rule first and decide from the counts the store returns, so concurrent requests
+// (batch members, other instances) cannot all pass a check made before any of them was counted. A denied hit is
+// taken back from every rule, so it counts against none.
+// rules: [{ bucket, limit, windowMs, fixed?, scope, what, unit }] → undefined, or the first rule exceeded.
+async function consume(rules) {
+    if (!store || !rules.length) return undefined;
+    const now = Date.now();
+    const windows = rules.map((rule) => {
+        const w = Math.floor(now / rule.windowMs);
+        return { rule, elapsed: now - w * rule.windowMs, curKey: `rl:${rule.bucket}:${w}`, prevKey: rule.fixed ? undefined : `rl:${rule.bucket}:${w - 1}` };
+    });
+    const prevKeys = windows.map((w) => w.prevKey).filter(Boolean);
+    let curCounts;
+    let prevCounts;
+    try {
+        [curCounts, prevCounts] = await Promise.all([
+            store.incr(windows.map((w) => ({ key: w.curKey, ttlMs: w.rule.windowMs * 2 }))),
+            store.get(prevKeys),
+        ]);
+    } catch (err) {
+        console.error('[RATE_LIMIT] Store unavailable, not limiting:', err?.message || err);
+        return undefined;
+    }
+    const prevByKey = new Map(prevKeys.map((k, i) => [k, prevCounts[i] || 0]));
+    for (const [i, w] of windows.entries()) {
+        const cur = curCounts[i] || 0;
+        const prev = w.prevKey ? prevByKey.get(w.prevKey) : 0;
+        if (cur + prev * (1 - w.elapsed / w.rule.windowMs) > w.rule.limit) {
+            store.decr(windows.map((x) => x.curKey)).catch((err) => {
+                console.error('[RATE_LIMIT] Store unavailable, denied hit not taken back:', err?.message || err);
+            });
+            return { ...w.rule, retryAfter: retryAfter({ ...w, cur: cur - 1, prev }) };
+        }
+    }
+    return undefined;
+}
+
+// Limited → { code, message, data } for a JSON-RPC error
+function limitedError(hit) {
+    const wait = hit.retryAfter >= 3600 ? `${Math.ceil(hit.retryAfter / 3600)} h` : `${hit.retryAfter} s`;
+    const message = hit.fixed
+        ? `Daily quota exceeded: ${hit.what} allows ${describe(hit)}; resets in ${wait}`
+        : `Rate limit exceeded: ${hit.what} allows ${describe(hit)}; retry in ${wait}`;
+    console.warn(`[RATE_LIMIT] ${hit.bucket}: ${message}`);
+    return {
+        code: RATE_LIMITED,
+        message,
+        data: { scope: hit.scope, limit: describe(hit), retry_after: hit.retryAfter, ...(hit.tool ? { tool: hit.tool } : {}) },
+    };
+}
+
+// Who a request is charged to: the authenticated key, else its IP
+const subject = ({ auth, ip }) => (auth?.key_id ? `key:${auth.key_id}` : ip ? `ip:${ip}` : undefined);
+
+// Every JSON-RPC request (not notification): per-IP and per-key request rates
+export async function checkRequestLimits(ctx = {}) {
+    if (!config.enabled) return undefined;
+    const rules = [];
+    if (ctx.ip) rules.push({ ...config.ip, bucket: `ip:${ctx.ip}`, scope: 'ip', what: 'this IP', unit: 'requests' });
+    if (ctx.auth?.key_id) rules.push({ ...config.key, bucket: `key:${ctx.auth.key_id}`, scope: 'key', what: `key "${ctx.auth.key_id}"`, unit: 'requests' });
+    const hit = await consume(rules);
+    return hit && limitedError(hit);
+}
+
+// tools/call: the tool's own rate and the daily quotas, charged to the key (or IP)
+export async function checkToolLimits(tool, ctx = {}) {
+    const who = config.enabled && subject(ctx);
+    if (!who) return undefined;
+    const rules = [];
+    if (config.tools[tool]) rules.push({ ...config.tools[tool], bucket: `tool:${who}:${tool}`, scope: 'tool', what: tool, tool, unit: 'calls' });
+    if (config.daily) rules.push({ ...config.daily, bucket: `quota:${who}`, scope: 'quota', what: 'this key', unit: 'tool calls' });
+    if (config.dailyTools[tool]) rules.push({ ...config.dailyTools[tool], bucket: `quota:${who}:${tool}`, scope: 'quota', what: tool, tool, unit: 'calls' });
+    const hit = await consume(rules);
+    return hit && limitedError(hit);
+}
+
+// POST /oauth/register (unauthenticated, and every call stores a client): per-IP registration rate
+export async function checkRegistrationLimits(ip) {
+    if (!config.enabled || !ip) return undefined;
+    const hit = await consume([{ ...config.register, bucket: `register:${ip}`, scope: 'ip', what: 'this IP', unit: 'client registrations' }]);
+    return hit && limitedError(hit);
+}
+
+// Largest retry_after (seconds) among rate-limited errors in a JSON-RPC response or batch, for Retry-After
+export function retryAfterOf(out) {
+    const seconds = [].concat(out ?? []).filter((m) => m?.error?.code === RATE_LIMITED).map((m) => m.error.data?.retry_after || 1);
+    return seconds.length ? Math.max(...seconds) : undefined;
+}
+
+// Client IP of a Node request; with TRUST_PROXY_HOPS=n (1 on Cloud Run), the address the n-th proxy
+// from us appended to X-Forwarded-For, which the client cannot forge
+export function clientIp(req) {
+    const socketIp = req.socket?.remoteAddress;
+    if (!TRUST_PROXY_HOPS) return socketIp;
+    const chain = String(req.headers['x-forwarded-for'] || '').split(',').map((s) => s.trim()).filter(Boolean);
+    return chain[chain.length - TRUST_PROXY_HOPS] || socketIp;
+}
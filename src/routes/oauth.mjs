@@ -0,0 +1,330 @@
+// OAuth routes. Every mode other than off serves the protected-resource metadata; OAUTH_MODE=builtin adds a
+// minimal authorization server for self-hosting:
+//   GET  /.well-known/oauth-authorization-server   RFC 8414 metadata
+//   POST /oauth/register                           dynamic client registration (public clients only, RFC 7591)
+//   GET  /oauth/authorize                          approval page: the user pastes an API key, which caps the scopes
+//   POST /oauth/authorize                          → redirect with ?code=…&state=…&iss=…
+//   POST /oauth/token                              authorization_code (PKCE S256 required) and refresh_token grants
+//   GET  /oauth/jwks.json                          public signing key
+// Access tokens are ES256 JWTs (src/oauth.mjs) for OAUTH_RESOURCE; refresh tokens rotate on every use.
+import express from 'express';
+import { SCOPES, authenticate, getActiveKey, createKeyStore } from '../api-keys.mjs';
+import {
+    OAUTH_MODE, OAUTH_ISSUER, OAUTH_RESOURCE, b64url, sha256, getSigningKey, signAccessToken,
+    requestBaseUrl, protectedResourceMetadata,
+} from '../oauth.mjs';
+import { cors } from '../cors.mjs';
+import { checkRegistrationLimits, clientIp } from '../rate-limit.mjs';
+
+const CODE_TTL_MS = 2 * 60 * 1000;
+const REFRESH_TTL_MS = (Number(process.env.OAUTH_REFRESH_TTL) || 30 * 24 * 3600) * 1000;
+// Registration is open to anyone, so the client store is capped and clients that never get a token expire
+const MAX_CLIENTS = Number(process.env.OAUTH_MAX_CLIENTS) || 1000;
+const UNUSED_CLIENT_TTL_MS = (Number(process.env.OAUTH_UNUSED_CLIENT_TTL) || 24 * 3600) * 1000;
+
+const clientStore = createKeyStore('oauth_clients');
+// Refresh tokens, keyed by their SHA-256 so the store never holds a usable token
+const grantStore = createKeyStore('oauth_grants');
+// Authorization codes only live for CODE_TTL_MS, so memory is enough
+const codes = new Map();
+
+const randomHex = (bytes) => Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (b) => b.toString(16).padStart(2, '0')).join('');
+const hashToken = async (token) => Array.from(await sha256(token), (b) => b.toString(16).padStart(2, '0')).join('');
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const parseScopes = (scope) => [...new Set(String(scope || '').split(/\s+/).filter((s) => SCOPES.includes(s)))];
+
+class OAuthError extends Error {
+    constructor(error, description, status = 400) {
+        super(description);
+        this.error = error;
+        this.status = status;
+    }
+}
+
+const sendError = (res, err) => res.status(err.status || 400).json({ error: err.error || 'server_error', error_description: err.message });
+
+function authorizationServerMetadata() {
+    return {
+        issuer: OAUTH_ISSUER,
+        authorization_endpoint: `${OAUTH_ISSUER}/oauth/authorize`,
+        token_endpoint: `${OAUTH_ISSUER}/oauth/token`,
+        registration_endpoint: `${OAUTH_ISSUER}/oauth/register`,
+        jwks_uri: `${OAUTH_ISSUER}/oauth/jwks.json`,
+        scopes_supported: SCOPES,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'refresh_token'],
+        token_endpoint_auth_methods_supported: ['none'],
+        code_challenge_methods_supported: ['S256'],
+    };
+}
+
+// --- Clients ---
+
+const isLoopback = (url) => ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+
+// https anywhere, http only on loopback, or an app's private-use scheme (e.g. cursor://)
+function checkRedirectUri(uri) {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch {
+        throw new OAuthError('invalid_redirect_uri', `Invalid redirect_uri "${uri}"`);
+    }
+    if (url.hash) throw new OAuthError('invalid_redirect_uri', 'redirect_uri must not have a fragment');
+    if (['javascript:', 'data:', 'file:'].includes(url.protocol) || (url.protocol === 'http:' && !isLoopback(url))) {
+        throw new OAuthError('invalid_redirect_uri', `redirect_uri "${uri}" must use https (http only for localhost)`);
+    }
+}
+
+// Exact match, except that loopback redirects may use any port (RFC 8252 §7.3)
+function redirectMatches(registered, uri) {
+    if (registered === uri) return true;
+    try {
+        const a = new URL(registered);
+        const b = new URL(uri);
+        return a.protocol === 'http:' && isLoopback(a) && a.hostname === b.hostname && a.pathname === b.pathname && a.search === b.search;
+    } catch {
+        return false;
+    }
+}
+
+// A client that has not exchanged a code within UNUSED_CLIENT_TTL_MS of registering is treated as unknown
+const clientExpired = (client) => !client.used_at && client.client_id_issued_at * 1000 + UNUSED_CLIENT_TTL_MS < Date.now();
+
+async function getClient(id) {
+    const client = id ? await clientStore.get(String(id)).catch(() => undefined) : undefined;
+    return client && !clientExpired(client) ? client : undefined;
+}
+
+// Registrations run one at a time so concurrent requests cannot overshoot MAX_CLIENTS
+let registering = Promise.resolve();
+
+async function storeClient(client) {
+    const clients = await clientStore.list();
+    const expired = clients.filter(clientExpired);
+    await Promise.all(expired.map((c) => clientStore.delete(c.client_id)));
+    if (clients.length - expired.length >= MAX_CLIENTS) {
+        throw new OAuthError('temporarily_unavailable', 'Client registration is closed: too many registered clients', 503);
+    }
+    await clientStore.put(client.client_id, client);
+}
+
+async function registerClient(req, res) {
+    try {
+        const body = req.body || {};
+        const redirectUris = body.redirect_uris;
+        if (!Array.isArray(redirectUris) || !redirectUris.length) throw new OAuthError('invalid_redirect_uri', 'redirect_uris is required');
+        redirectUris.forEach(checkRedirectUri);
+        if (body.token_endpoint_auth_method && body.token_endpoint_auth_method !== 'none') {
+            throw new OAuthError('invalid_client_metadata', 'Only public clients (token_endpoint_auth_method "none") are supported');
+        }
+        const client = {
+            client_id: `c-${randomHex(12)}`,
+            client_id_issued_at: Math.floor(Date.now() / 1000),
+            client_name: String(body.client_name || 'MCP client').slice(0, 100),
+            redirect_uris: redirectUris,
+            grant_types: ['authorization_code', 'refresh_token'],
+            response_types: ['code'],
+            token_endpoint_auth_method: 'none',
+        };
+        const limited = await checkRegistrationLimits(clientIp(req));
+        if (limited) {
+            res.setHeader('Retry-After', String(limited.data.retry_after));
+            throw new OAuthError('temporarily_unavailable', limited.message, 429);
+        }
+        const run = registering.catch(() => {}).then(() => storeClient(client));
+        registering = run;
+        await run;
+        console.log('[OAUTH] Registered client', client.client_id, client.client_name);
+        res.status(201).json(client);
+    } catch (err) {
+        sendError(res, err);
+    }
+}
+
+// --- Authorization endpoint ---
+
+// Validates what can be checked before redirecting back; errors here are shown to the user instead
+async function loadAuthorizeRequest(params) {
+    const client = await getClient(params.client_id);
+    if (!client) throw new OAuthError('invalid_client', 'Unknown client_id; register the client first');
+    const redirectUri = params.redirect_uri || (client.redirect_uris.length === 1 ? client.redirect_uris[0] : '');
+    if (!client.redirect_uris.some((r) => redirectMatches(r, redirectUri))) throw new OAuthError('invalid_request', 'redirect_uri is not registered for this client');
+    return { client, redirectUri: String(redirectUri) };
+}
+
+function redirectWith(res, redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [k, v] of Object.entries(params)) if (v !== undefined && v !== '') url.searchParams.set(k, v);
+    url.searchParams.set('iss', OAUTH_ISSUER);
+    res.redirect(302, url.toString());
+}
+
+// Checks that are reported to the client through the redirect
+function authorizeParamError(params) {
+    if (params.response_type !== 'code') return ['unsupported_response_type', 'response_type must be code'];
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') return ['invalid_request', 'PKCE with code_challenge_method=S256 is required'];
+    if (params.resource && params.resource !== OAUTH_RESOURCE) return ['invalid_target', `resource must be ${OAUTH_RESOURCE}`];
+    return undefined;
+}
+
+const AUTHORIZE_FIELDS = ['response_type', 'client_id', 'redirect_uri', 'state', 'scope', 'code_challenge', 'code_challenge_method', 'resource'];
+
+function approvalPage(client, params, error) {
+    const requested = parseScopes(params.scope);
+    const hidden = AUTHORIZE_FIELDS.map((f) => (params[f] ? `<input type="hidden" name="${f}" value="${escapeHtml(params[f])}">` : '')).join('');
+    return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width">
+<title>Authorize ${escapeHtml(client.client_name)}</title>
+<style>body{font-family:system-ui,sans-serif;max-width:28rem;margin:3rem auto;padding:0 1rem}input[type=password]{width:100%;padding:.5rem}button{margin:.75rem .5rem 0 0;padding:.5rem 1rem}.err{color:#b00020}</style></head>
+<body><h1>Authorize ${escapeHtml(client.client_name)}</h1>
+<p>${escapeHtml(client.client_name)} asks to use this MCP server with the scopes: <b>${escapeHtml((requested.length ? requested : ['all scopes of your key']).join(', '))}</b>.</p>
+<p>Paste your API key to approve. The client gets at most the scopes that key has.</p>
+${error ? `<p class="err">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/oauth/authorize">${hidden}
+<input type="password" name="api_key" autocomplete="off" placeholder="qiq_…" required autofocus>
+<button type="submit" name="decision" value="approve">Approve</button><button type="submit" name="decision" value="deny" formnovalidate>Deny</button>
+</form></body></html>`;
+}
+
+async function showAuthorize(req, res) {
+    let loaded;
+    try {
+        loaded = await loadAuthorizeRequest(req.query);
+    } catch (err) {
+        return res.status(400).type('text/plain').send(`Authorization request rejected: ${err.message}`);
+    }
+    const paramError = authorizeParamError(req.query);
+    if (paramError) return redirectWith(res, loaded.redirectUri, { error: paramError[0], error_description: paramError[1], state: req.query.state });
+    res.setHeader('Cache-Control', 'no-store');
+    res.type('html').send(approvalPage(loaded.client, req.query));
+}
+
+async function submitAuthorize(req, res) {
+    const params = req.body || {};
+    let loaded;
+    try {
+        loaded = await loadAuthorizeRequest(params);
+    } catch (err) {
+        return res.status(400).type('text/plain').send(`Authorization request rejected: ${err.message}`);
+    }
+    const { client, redirectUri } = loaded;
+    const paramError = authorizeParamError(params);
+    if (paramError) return redirectWith(res, redirectUri, { error: paramError[0], error_description: paramError[1], state: params.state });
+    if (params.decision !== 'approve') return redirectWith(res, redirectUri, { error: 'access_denied', state: params.state });
+
+    const key = await authenticate(params.api_key);
+    res.setHeader('Cache-Control', 'no-store');
+    if (!key) return res.status(401).type('html').send(approvalPage(client, params, 'That API key is not valid (unknown, expired or revoked).'));
+    const requested = parseScopes(params.scope);
+    const scopes = (requested.length ? requested : key.scopes).filter((s) => key.scopes.includes(s));
+    if (!scopes.length) return res.status(403).type('html').send(approvalPage(client, params, `That API key has none of the requested scopes (it has ${key.scopes.join(', ')}).`));
+
+    const now = Date.now();
+    for (const [c, v] of codes) if (v.expiresAt < now) codes.delete(c);
+    const code = randomHex(24);
+    codes.set(code, {
+        client_id: client.client_id,
+        redirect_uri: redirectUri,
+        code_challenge: params.code_challenge,
+        key_id: key.key_id,
+        scopes,
+        expiresAt: now + CODE_TTL_MS,
+    });
+    console.log('[OAUTH] Approved', client.client_id, 'for key', key.key_id, 'with scopes', scopes.join(','));
+    redirectWith(res, redirectUri, { code, state: params.state });
+}
+
+// --- Token endpoint ---
+
+async function issueTokens({ client_id, key_id, scopes }) {
+    const { access_token, expires_in } = await signAccessToken({ sub: key_id, scopes, client_id });
+    const refreshToken = randomHex(32);
+    await grantStore.put(await hashToken(refreshToken), {
+        client_id,
+        key_id,
+        scopes,
+        expires_at: new Date(Date.now() + REFRESH_TTL_MS).toISOString(),
+    });
+    return { access_token, token_type: 'Bearer', expires_in, scope: scopes.join(' '), refresh_token: refreshToken };
+}
+
+async function exchangeCode(body) {
+    const grant = codes.get(String(body.code || ''));
+    // Codes are single-use, whatever the outcome
+    codes.delete(String(body.code || ''));
+    if (!grant || grant.expiresAt < Date.now()) throw new OAuthError('invalid_grant', 'Authorization code is invalid or expired');
+    if (grant.client_id !== body.client_id) throw new OAuthError('invalid_grant', 'Authorization code was issued to another client');
+    if (!redirectMatches(grant.redirect_uri, body.redirect_uri || grant.redirect_uri)) throw new OAuthError('invalid_grant', 'redirect_uri does not match');
+    if (body.resource && body.resource !== OAUTH_RESOURCE) throw new OAuthError('invalid_target', `resource must be ${OAUTH_RESOURCE}`);
+    if (!body.code_verifier || b64url(await sha256(String(body.code_verifier))) !== grant.code_challenge) {
+        throw new OAuthError('invalid_grant', 'code_verifier does not match the code_challenge');
+    }
+    return issueTokens(grant);
+}
+
+async function refreshTokens(body) {
+    const id = await hashToken(String(body.refresh_token || ''));
+    const grant = await grantStore.get(id);
+    if (!grant || Date.parse(grant.expires_at) <= Date.now()) throw new OAuthError('invalid_grant', 'Refresh token is invalid or expired');
+    if (grant.client_id !== body.client_id) throw new OAuthError('invalid_grant', 'Refresh token was issued to another client');
+    // Rotation: the presented token is spent
+    await grantStore.delete(id);
+    const key = await getActiveKey(grant.key_id);
+    if (!key) throw new OAuthError('invalid_grant', 'The API key behind this grant is no longer active');
+    const narrowed = parseScopes(body.scope);
+    const scopes = (narrowed.length ? narrowed : grant.scopes).filter((s) => grant.scopes.includes(s) && key.scopes.includes(s));
+    if (!scopes.length) throw new OAuthError('invalid_scope', 'No requested scope is still granted');
+    return issueTokens({ ...grant, scopes });
+}
+
+async function token(req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+    try {
+        const body = req.body || {};
+        const client = await getClient(body.client_id);
+        if (!client) throw new OAuthError('invalid_client', 'Unknown client_id', 401);
+        let out;
+        if (body.grant_type === 'authorization_code') {
+            out = await exchangeCode(body);
+            // A client that got a token is in use and no longer expires
+            if (!client.used_at) await clientStore.put(client.client_id, { ...client, used_at: new Date().toISOString() });
+        } else if (body.grant_type === 'refresh_token') {
+            out = await refreshTokens(body);
+        } else {
+            throw new OAuthError('unsupported_grant_type', 'grant_type must be authorization_code or refresh_token');
+        }
+        res.json(out);
+    } catch (err) {
+        if (!(err instanceof OAuthError)) console.error('[OAUTH] Token request failed:', err?.message || err);
+        sendError(res, err);
+    }
+}
+
+// Router for the OAuth endpoints; mount it when OAUTH_MODE is not off
+export function createOAuthRoutes() {
+    const router = express.Router();
+    const metadata = (req, res) => res.json(protectedResourceMetadata(requestBaseUrl(req)));
+    // Discovery documents and the JWKS are public; registration and tokens follow the CORS allow-list
+    const publicCors = cors({ methods: 'GET, OPTIONS', public: true });
+    // RFC 9728: at the root and with the resource path appended
+    router.all(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/*'], publicCors);
+    router.get('/.well-known/oauth-protected-resource', metadata);
+    router.get('/.well-known/oauth-protected-resource/*', metadata);
+    if (OAUTH_MODE !== 'builtin') return router;
+
+    router.all(['/.well-known/oauth-authorization-server', '/oauth/jwks.json'], publicCors);
+    router.get('/.well-known/oauth-authorization-server', (_req, res) => res.json(authorizationServerMetadata()));
+    router.get('/oauth/jwks.json', async (_req, res, next) => {
+        try {
+            res.json({ keys: [(await getSigningKey()).publicJwk] });
+        } catch (err) {
+            next(err);
+        }
+    });
+    router.all(['/oauth/register', '/oauth/token'], cors({ methods: 'POST, OPTIONS' }));
+    router.post('/oauth/register', express.json(), registerClient);
+    router.get('/oauth/authorize', showAuthorize);
+    router.post('/oauth/authorize', express.urlencoded({ extended: false }), submitAuthorize);
+    router.post('/oauth/token', express.urlencoded({ extended: false }), express.json(), token);
+    return router;
+}
@@ -0,0 +1,55 @@
+// Plain HTTP routes for quotes, for browsers and ERPs that download files rather than speak MCP
+import express from 'express';
+import { getQuote, convertQuote } from '../quotes.mjs';
+import { EXPORT_FORMATS, EXPORT_LANGS, exportQuote } from '../quote-export.mjs';
+import { cors } from '../cors.mjs';
+import { checkRequestLimits, checkToolLimits, clientIp } from '../rate-limit.mjs';
+
+// GET /quotes/:id/export?format=html|pdf|csv|quotewerks&lang=en|ar[&currency=XXX][&download=1]
+async function exportRoute(req, res) {
+    const format = String(req.query.format || 'html');
+    const lang = String(req.query.lang || 'en');
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    if (!EXPORT_LANGS.includes(lang)) return res.status(400).json({ error: `lang must be one of ${EXPORT_LANGS.join(', ')}` });
+    const currency = req.query.currency ? String(req.query.currency) : undefined;
+    if (currency && !/^[A-Z]{3}$/.test(currency)) return res.status(400).json({ error: 'currency must be a 3-letter ISO code' });
+
+    // Charged like a quote_export tools/call: the request rates, then quote_export's rate and the daily quotas
+    const ctx = { auth: req.auth, ip: clientIp(req) };
+    const limited = (await checkRequestLimits(ctx)) || (await checkToolLimits('quote_export', ctx));
+    if (limited) {
+        res.setHeader('Retry-After', String(limited.data.retry_after));
+        return res.status(429).json({ error: limited.message, retry_after: limited.data.retry_after });
+    }
+
+    let quote;
+    try {
+        quote = await getQuote(req.params.id, req.auth);
+    } catch (err) {
+        return res.status(404).json({ error: err?.message || 'Quote not found' });
+    }
+    try {
+        quote = await convertQuote(quote, currency);
+    } catch (err) {
+        return res.status(400).json({ error: err?.message || 'Currency conversion failed' });
+    }
+    try {
+        const { filename, mime_type, body } = await exportQuote(quote, { format, lang });
+        // Documents open in the browser; spreadsheets download unless asked otherwise
+        const inline = ['html', 'pdf'].includes(format) && !req.query.download;
+        res.setHeader('Content-Type', mime_type);
+        res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename}"`);
+        res.status(200).send(body);
+    } catch (err) {
+        console.error('[QUOTE_EXPORT] Failed:', err?.message || err);
+        res.status(500).json({ error: err?.message || 'Export failed' });
+    }
+}
+
+// `auth` is applied to every route, as in createHttpTransport
+export function createQuoteRoutes({ auth = (_req, _res, next) => next() } = {}) {
+    const router = express.Router();
+    router.all('/quotes/:id/export', cors({ methods: 'GET, OPTIONS' }));
+    router.get('/quotes/:id/export', auth, exportRoute);
+    return router;
+}
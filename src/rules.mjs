@@ -0,0 +1,147 @@
+// Pre-quote rules engine over the "Rules Engine / Operational" product fields:
+//   required_questions JSON array of questions to answer before pricing (strings or { id, question, ... })
+//   rule_tag           short labels: "ask_before_quote" blocks until the product's rules are confirmed,
+//                      "always_bundle" makes the bundle_options SKUs mandatory additions
+//   product_rules      HTML list of product rules, reported as warnings
+//   category_rules     HTML category policy, reported once per category
+// Pure functions over product objects, so fixtures can be evaluated without Typesense (scripts/rules-check.mjs).
+
+const splitList = (v) => (Array.isArray(v) ? v : String(v ?? '').split(',')).map((s) => String(s).trim()).filter(Boolean);
+
+// rule_tag may hold several labels separated by commas or spaces
+export const ruleTags = (product) => splitList(String(product?.rule_tag ?? '').replace(/\s+/g, ','));
+export const hasRuleTag = (product, tag) => ruleTags(product).includes(tag);
+
+// bundle_options is a CSV of SKUs
+export const bundleSkus = (product) => splitList(product?.bundle_options);
+
+const decodeEntities = (s) => s.replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+
+// HTML rule list → one string per <li> (or per line / paragraph when there is no list)
+export function parseRuleList(html) {
+    const text = String(html ?? '');
+    if (!text.trim()) return [];
+    const items = [...text.matchAll(/<li\b[^>]*>([\s\S]*?)<\/li>/gi)].map((m) => m[1]);
+    const chunks = items.length ? items : text.split(/<br\s*\/?>|<\/p>|\r?\n/i);
+    return chunks.map((c) => decodeEntities(c.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+const slug = (s) => String(s).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+
+// required_questions → [{ id, question, ...extra }]. Accepts a JSON string, strings, or objects with
+// question / text / q (extra keys such as options or question_ar are passed through).
+export function requiredQuestions(product) {
+    let raw = product?.required_questions;
+    if (typeof raw === 'string') {
+        try {
+            raw = raw.trim() ? JSON.parse(raw) : [];
+        } catch {
+            // A plain sentence rather than JSON is still one question
+            raw = [raw];
+        }
+    }
+    if (!Array.isArray(raw)) raw = raw ? [raw] : [];
+    return raw.map((q) => {
+        if (q && typeof q === 'object') {
+            const { id, question, text, q: short, ...extra } = q;
+            const wording = String(question ?? text ?? short ?? '').trim();
+            return wording ? { id: id ? String(id) : slug(wording), question: wording, ...extra } : null;
+        }
+        const wording = String(q ?? '').trim();
+        return wording ? { id: slug(wording), question: wording } : null;
+    }).filter(Boolean);
+}
+
+const present = (v) => v !== undefined && v !== null && String(v).trim() !== '';
+
+// lines: [{ line_id?, product, quantity?, duration_years? }] with products carrying the rule fields.
+// answers: { "<question id>": value } for every product, or { "<sku>:<question id>": value } for one.
+// Returns { ready, questions, warnings, mandatory_additions, answered }; ready is false while any blocking
+// question is unanswered or a mandatory addition is missing from the lines.
+export function evaluateRules(lines, { answers = {} } = {}) {
+    const answerFor = (sku, q) => [`${sku}:${q.id}`, q.id, q.question].map((k) => answers[k]).find(present);
+    const questions = new Map();
+    const answered = new Map();
+    const warnings = new Map();
+    const additions = new Map();
+    const inQuote = new Set(lines.flatMap(({ product }) => [product?.sku, product?.objectID, product?.vendor_mpn]
+        .filter(Boolean).map((v) => String(v).toLowerCase())));
+
+    // Same question / warning from several lines is reported once, with every SKU in `for`
+    const collect = (map, key, sku, lineId, make) => {
+        const entry = map.get(key) || { ...make(), for: [], line_ids: [] };
+        if (!entry.for.includes(sku)) entry.for.push(sku);
+        if (lineId && !entry.line_ids.includes(lineId)) entry.line_ids.push(lineId);
+        map.set(key, entry);
+    };
+
+    for (const { line_id: lineId, product, quantity = product?.quantity ?? 1 } of lines) {
+        if (!product) continue;
+        const sku = product.sku;
+        const askFirst = hasRuleTag(product, 'ask_before_quote');
+        const productRules = parseRuleList(product.product_rules);
+        const asked = requiredQuestions(product);
+
+        // Tagged ask_before_quote without explicit questions: the rules themselves need confirming
+        if (askFirst && !asked.length) {
+            asked.push({
+                id: `confirm_${slug(sku)}`,
+                question: productRules.length
+                    ? `Confirm these requirements for ${product.name} before quoting: ${productRules.join('; ')}`
+                    : `Confirm the requirements for ${product.name} with the customer before quoting`,
+            });
+        }
+        for (const q of asked) {
+            const answer = answerFor(sku, q);
+            if (present(answer)) {
+                collect(answered, q.id, sku, lineId, () => ({ id: q.id, question: q.question, answer }));
+                continue;
+            }
+            collect(questions, q.id, sku, lineId, () => ({
+                ...q,
+                blocking: true,
+                reason: askFirst ? 'ask_before_quote' : 'required_questions',
+            }));
+        }
+
+        for (const rule of productRules) {
+            collect(warnings, `product_rule:${rule}`, sku, lineId, () => ({ code: 'product_rule', message: rule }));
+        }
+        for (const rule of parseRuleList(product.category_rules)) {
+            const category = product.category || 'uncategorized';
+            collect(warnings, `category_rule:${category}:${rule}`, sku, lineId, () => ({ code: 'category_rule', category, message: rule }));
+        }
+        if (!(Number(product.price) > 0)) {
+            collect(warnings, `no_price:${sku}`, sku, lineId, () => ({ code: 'no_price', message: `${sku} has no price; set unit_price on the line` }));
+        }
+        if (typeof product.availability === 'number' && product.availability < quantity) {
+            collect(warnings, `stock_shortfall:${sku}`, sku, lineId, () => ({
+                code: 'stock_shortfall',
+                message: `${sku}: ${quantity} requested, ${Math.max(0, product.availability)} in stock`,
+            }));
+        }
+
+        if (hasRuleTag(product, 'always_bundle')) {
+            for (const extra of bundleSkus(product)) {
+                if (inQuote.has(extra.toLowerCase())) continue;
+                const entry = additions.get(extra) || { sku: extra, for: [], quantity: 0, reason: 'always_bundle' };
+                if (!entry.for.includes(sku)) entry.for.push(sku);
+                entry.quantity += quantity;
+                additions.set(extra, entry);
+            }
+        }
+    }
+
+    const list = (map) => [...map.values()].map((e) => {
+        if (!e.line_ids?.length) delete e.line_ids;
+        return e;
+    });
+    const out = {
+        questions: list(questions),
+        warnings: list(warnings),
+        mandatory_additions: [...additions.values()],
+        answered: list(answered),
+    };
+    return { ready: !out.questions.some((q) => q.blocking) && !out.mandatory_additions.length, ...out };
+}
@@ -0,0 +1,88 @@
+// Small JSON Schema validator covering the subset our tool schemas use:
+// type (string or array), properties, required, additionalProperties (boolean or schema),
+// items, enum, const, anyOf/oneOf, numeric (incl. exclusiveMinimum) and length bounds, and pattern.
+// Returns a list of { path, message } where path is a JSON Pointer ('' is the root).
+
+const typeOf = (v) => {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    return typeof v;
+};
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeOf(value) === type;
+    }
+}
+
+const childPath = (path, key) => `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+export function validateSchema(schema, value, path = '') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((t) => matchesType(value, t))) {
+            fail(`must be ${types.join(' or ')} (got ${typeOf(value)})`);
+            return errors;
+        }
+    }
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+        fail(`must equal ${JSON.stringify(schema.const)}`);
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+        fail(`must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(', ')}`);
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some((s) => validateSchema(s, value, path).length === 0)) {
+        fail('must match at least one allowed schema');
+    }
+    if (Array.isArray(schema.oneOf) && schema.oneOf.filter((s) => validateSchema(s, value, path).length === 0).length !== 1) {
+        fail('must match exactly one allowed schema');
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) fail(`must have at least ${schema.minLength} characters`);
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match pattern ${schema.pattern}`);
+    }
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, childPath(path, i))));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        const props = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) fail('is required', childPath(path, key));
+        }
+        for (const [key, v] of Object.entries(value)) {
+            if (v === undefined) continue;
+            if (props[key]) {
+                errors.push(...validateSchema(props[key], v, childPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                fail('is not allowed', childPath(path, key));
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, v, childPath(path, key)));
+            }
+        }
+    }
+    return errors;
+}
+
+// One-line summary for error messages, e.g. "/category is required; /foo is not allowed"
+export function formatSchemaErrors(errors, limit = 10) {
+    const parts = errors.slice(0, limit).map((e) => `${e.path || '(root)'} ${e.message}`);
+    if (errors.length > limit) parts.push(`… ${errors.length - limit} more`);
+    return parts.join('; ');
+}
@@ -0,0 +1,104 @@
+// Named qiq_scoring profiles loaded from a JSON or YAML file (QIQ_SCORING_PROFILES,
+// default config/scoring-profiles.json). The file is validated on every load and watched;
+// a broken edit is reported and the last good profiles stay in use.
+//
+// File shape:
+//   { "default": "balanced",
+//     "profiles": { "<name>": { "description": "...", "solutionTypes": ["EDR"], "weights": { "price": 0.2, ... } } } }
+import { validateSchema, formatSchemaErrors } from './schema.mjs';
+import { FACTORS } from './scoring.mjs';
+import { createWatchedFile } from './watched-file.mjs';
+
+const PROFILES_PATH = process.env.QIQ_SCORING_PROFILES?.trim() || 'config/scoring-profiles.json';
+
+const profilesFileSchema = {
+    type: 'object',
+    properties: {
+        default: { type: 'string', minLength: 1 },
+        profiles: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    description: { type: 'string' },
+                    // solutionType values (case-insensitive) that select this profile when context.profile is not set
+                    solutionTypes: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    weights: {
+                        type: 'object',
+                        properties: Object.fromEntries(FACTORS.map((f) => [f, { type: 'number', minimum: 0 }])),
+                        additionalProperties: false,
+                    },
+                },
+                required: ['weights'],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ['profiles'],
+    additionalProperties: false,
+};
+
+async function parseFile(path, text) {
+    if (/\.ya?ml$/i.test(path)) {
+        // Only needed for YAML profile files
+        const { parse } = await import('yaml');
+        return parse(text);
+    }
+    return JSON.parse(text);
+}
+
+function checkProfiles(data) {
+    const errors = validateSchema(profilesFileSchema, data);
+    if (errors.length) throw new Error(formatSchemaErrors(errors));
+    if (data.default !== undefined && !data.profiles[data.default]) {
+        throw new Error(`/default names unknown profile "${data.default}"`);
+    }
+    const claimed = new Map();
+    for (const [name, profile] of Object.entries(data.profiles)) {
+        for (const t of profile.solutionTypes || []) {
+            const key = t.toLowerCase();
+            if (claimed.has(key)) throw new Error(`solutionType "${t}" is claimed by both "${claimed.get(key)}" and "${name}"`);
+            claimed.set(key, name);
+        }
+    }
+    return data;
+}
+
+const profilesFile = createWatchedFile({
+    path: PROFILES_PATH,
+    parse: async (text) => checkProfiles(await parseFile(PROFILES_PATH, text)),
+    empty: { profiles: {} },
+    tag: 'PROFILES',
+    name: 'scoring profiles',
+    describe: (data) => `${Object.keys(data.profiles).length} scoring profiles`,
+});
+
+// Loads once (then keeps the file watched) and returns { path, profiles, defaultProfile, loadedAt, error }
+export async function loadScoringProfiles() {
+    const { path, value, loadedAt, error } = await profilesFile.load();
+    return { path, profiles: value.profiles, defaultProfile: value.default, loadedAt, error };
+}
+
+// Pick the profile for a qiq_scoring context: explicit context.profile, else the profile claiming
+// context.solutionType, else the file's default. Returns { name, profile, reason } or undefined.
+export async function selectScoringProfile(context = {}) {
+    const { profiles, defaultProfile } = await loadScoringProfiles();
+    if (context.profile) {
+        const profile = profiles[context.profile];
+        if (!profile) {
+            const known = Object.keys(profiles);
+            throw new Error(`Unknown scoring profile "${context.profile}"${known.length ? ` (available: ${known.join(', ')})` : ''}`);
+        }
+        return { name: context.profile, profile, reason: 'context.profile' };
+    }
+    if (context.solutionType) {
+        const wanted = String(context.solutionType).toLowerCase();
+        for (const [name, profile] of Object.entries(profiles)) {
+            if ((profile.solutionTypes || []).some((t) => t.toLowerCase() === wanted)) {
+                return { name, profile, reason: 'solutionType' };
+            }
+        }
+    }
+    if (defaultProfile) return { name: defaultProfile, profile: profiles[defaultProfile], reason: 'default' };
+    return undefined;
+}
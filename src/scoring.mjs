@@ -0,0 +1,137 @@
+// QIQ scoring engine: weighted, explainable ranking of candidate products.
+// Every factor yields a value in [0, 1]; a product's score is the weighted sum of its factors
+// (weights are normalized to sum to 1). When a product lacks the data a factor needs, the factor
+// is neutral (0.5) so missing enrichment neither rewards nor punishes it.
+
+export const DEFAULT_WEIGHTS = {
+    relevance: 0.2,       // Typesense text match (or search order)
+    discount: 0.15,       // price vs list_price
+    price: 0.1,           // cheaper relative to the other candidates
+    stock: 0.15,          // availability covers the requested seats
+    solution_fit: 0.05,   // context.solutionType appears in category/subcategory/item_type/name
+    priority: 0.05,       // priority_level 1 (low) .. 5 (high)
+    data_quality: 0.1,    // data_quality_score 0–100
+    risk: 0.1,            // 100 - risk_score
+    ai_confidence: 0.05,  // ai_confidence 0–1
+    brand: 0.05,          // context.preferredBrands / context.excludedBrands
+};
+
+export const FACTORS = Object.keys(DEFAULT_WEIGHTS);
+
+const NEUTRAL = 0.5;
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+const num = (v) => (typeof v === 'number' ? v : Number(v));
+const isNum = (v) => v !== undefined && v !== null && v !== '' && Number.isFinite(num(v));
+const round = (n, d = 4) => Math.round(n * 10 ** d) / 10 ** d;
+const lower = (v) => String(v ?? '').toLowerCase();
+
+// Merge weight overrides over the defaults and normalize them to sum to 1
+export function resolveWeights(...overrides) {
+    const merged = { ...DEFAULT_WEIGHTS };
+    for (const o of overrides) {
+        for (const [k, v] of Object.entries(o || {})) {
+            if (FACTORS.includes(k) && isNum(v) && num(v) >= 0) merged[k] = num(v);
+        }
+    }
+    const total = Object.values(merged).reduce((a, b) => a + b, 0);
+    if (total <= 0) return { ...DEFAULT_WEIGHTS };
+    return Object.fromEntries(Object.entries(merged).map(([k, v]) => [k, v / total]));
+}
+
+// Each factor returns { value, detail } for one product; `set` holds stats over all candidates
+const factorFns = {
+    relevance: (p, ctx, set) => {
+        if (set.maxTextMatch > 0 && isNum(p.text_match)) {
+            return { value: num(p.text_match) / set.maxTextMatch, detail: `text_match ${p.text_match} of best ${set.maxTextMatch}` };
+        }
+        // No text match scores: trust the search order
+        const value = set.count > 1 ? 1 - p.__index / (set.count - 1) : 1;
+        return { value, detail: `search position ${p.__index + 1} of ${set.count}` };
+    },
+    discount: (p) => {
+        if (!isNum(p.list_price) || num(p.list_price) <= 0 || !isNum(p.price)) return { value: NEUTRAL, detail: 'no list_price' };
+        const pct = clamp01((num(p.list_price) - num(p.price)) / num(p.list_price));
+        return { value: pct, detail: `${round(pct * 100, 1)}% below list price` };
+    },
+    price: (p, ctx, set) => {
+        if (!isNum(p.price) || num(p.price) <= 0 || !(set.minPrice > 0)) return { value: NEUTRAL, detail: 'no price' };
+        return { value: set.minPrice / num(p.price), detail: `cheapest candidate is ${set.minPrice}` };
+    },
+    stock: (p, ctx) => {
+        const seats = isNum(ctx.seats) && num(ctx.seats) > 0 ? num(ctx.seats) : (isNum(p.quantity) && num(p.quantity) > 0 ? num(p.quantity) : 1);
+        if (!isNum(p.availability)) return { value: NEUTRAL, detail: 'availability unknown' };
+        const value = clamp01(Math.max(0, num(p.availability)) / seats);
+        return { value, detail: `${num(p.availability)} available for ${seats} requested` };
+    },
+    solution_fit: (p, ctx) => {
+        if (!ctx.solutionType) return { value: NEUTRAL, detail: 'no solutionType' };
+        const wanted = lower(ctx.solutionType).replace(/[_-]+/g, ' ').trim();
+        const haystack = [p.category, p.subcategory, p.item_type, p.name].map((v) => lower(v).replace(/[_-]+/g, ' ')).join(' | ');
+        const hit = haystack.includes(wanted) || wanted.split(/\s+/).every((w) => haystack.includes(w));
+        return { value: hit ? 1 : 0, detail: hit ? `matches "${ctx.solutionType}"` : `does not mention "${ctx.solutionType}"` };
+    },
+    priority: (p) => {
+        if (!isNum(p.priority_level)) return { value: NEUTRAL, detail: 'no priority_level' };
+        return { value: clamp01((num(p.priority_level) - 1) / 4), detail: `priority_level ${p.priority_level}` };
+    },
+    data_quality: (p) => {
+        if (!isNum(p.data_quality_score)) return { value: NEUTRAL, detail: 'no data_quality_score' };
+        return { value: clamp01(num(p.data_quality_score) / 100), detail: `data_quality_score ${p.data_quality_score}` };
+    },
+    risk: (p) => {
+        if (!isNum(p.risk_score)) return { value: NEUTRAL, detail: 'no risk_score' };
+        return { value: clamp01(1 - num(p.risk_score) / 100), detail: `risk_score ${p.risk_score}` };
+    },
+    ai_confidence: (p) => {
+        if (!isNum(p.ai_confidence)) return { value: NEUTRAL, detail: 'no ai_confidence' };
+        return { value: clamp01(num(p.ai_confidence)), detail: `ai_confidence ${p.ai_confidence}` };
+    },
+    brand: (p, ctx) => {
+        const preferred = (ctx.preferredBrands || []).map(lower);
+        const excluded = (ctx.excludedBrands || []).map(lower);
+        const brand = lower(p.brand);
+        if (excluded.includes(brand)) return { value: 0, detail: `${p.brand} is excluded` };
+        if (!preferred.length) return { value: NEUTRAL, detail: 'no brand preference' };
+        return preferred.includes(brand)
+            ? { value: 1, detail: `${p.brand} is preferred` }
+            : { value: 0, detail: `${p.brand} is not a preferred brand` };
+    },
+};
+
+// Score and rank products. Returns new product objects (highest score first) with `score` (0–1),
+// `rank` and a per-factor `score_breakdown` of { value, weight, contribution, detail }.
+// With context.termYears, `extended_price` = price × seats × termYears is added for comparison.
+export function scoreProducts(products = [], context = {}, { weights } = {}) {
+    const list = (Array.isArray(products) ? products : []).map((p, i) => ({ ...p, __index: i }));
+    const textMatches = list.map((p) => num(p.text_match)).filter((n) => Number.isFinite(n));
+    const prices = list.map((p) => num(p.price)).filter((n) => Number.isFinite(n) && n > 0);
+    const set = {
+        count: list.length,
+        maxTextMatch: textMatches.length ? Math.max(...textMatches) : 0,
+        minPrice: prices.length ? Math.min(...prices) : 0,
+    };
+    const w = weights || resolveWeights();
+
+    const scored = list.map((p) => {
+        const breakdown = {};
+        let score = 0;
+        for (const factor of FACTORS) {
+            const { value, detail } = factorFns[factor](p, context, set);
+            const contribution = value * w[factor];
+            score += contribution;
+            breakdown[factor] = { value: round(value), weight: round(w[factor]), contribution: round(contribution), detail };
+        }
+        const { __index, ...product } = p;
+        const price = isNum(product.price) ? num(product.price) : 0;
+        const out = { ...product, price, score: round(score), score_breakdown: breakdown };
+        if (isNum(context.termYears) && num(context.termYears) > 0) {
+            const seats = isNum(context.seats) && num(context.seats) > 0 ? num(context.seats) : (isNum(product.quantity) ? num(product.quantity) : 1);
+            out.extended_price = round(price * seats * num(context.termYears), 2);
+        }
+        return out;
+    });
+    // Stable: ties keep their search order
+    scored.sort((a, b) => b.score - a.score);
+    scored.forEach((p, i) => { p.rank = i + 1; });
+    return scored;
+}
@@ -0,0 +1,132 @@
+// Pluggable JSON document stores keyed by id, shared by features that persist state.
+//   memory – per-process Map (default; lost on restart)
+//   file   – one JSON file per document under <path>/<name>/
+//   sqlite – table <name>(id, data, updated_at) via node:sqlite (Node 22.13+)
+// Every store exposes async get(id), put(id, doc), delete(id) and list().
+// Node modules are imported lazily so the Edge runtime can load the core without them.
+
+export const STORE_KINDS = ['memory', 'file', 'sqlite'];
+
+function createMemoryStore() {
+    const docs = new Map();
+    return {
+        kind: 'memory',
+        async get(id) { return docs.has(id) ? structuredClone(docs.get(id)) : undefined; },
+        async put(id, doc) { docs.set(id, structuredClone(doc)); return doc; },
+        async delete(id) { return docs.delete(id); },
+        async list() { return [...docs.values()].map((d) => structuredClone(d)); },
+    };
+}
+
+// Ids become file names, so anything outside [A-Za-z0-9._-] is rejected rather than escaped
+const safeId = (id) => {
+    const s = String(id);
+    if (!/^[A-Za-z0-9._-]+$/.test(s) || s.startsWith('.')) throw new Error(`Invalid id "${s}"`);
+    return s;
+};
+
+function createFileStore({ path, name }) {
+    let dirReady;
+    const dir = async () => {
+        const [fs, p] = await Promise.all([import('node:fs/promises'), import('node:path')]);
+        const d = p.join(path, name);
+        dirReady ||= fs.mkdir(d, { recursive: true });
+        await dirReady;
+        return { fs, p, d };
+    };
+    return {
+        kind: 'file',
+        async get(id) {
+            const { fs, p, d } = await dir();
+            try {
+                return JSON.parse(await fs.readFile(p.join(d, `${safeId(id)}.json`), 'utf8'));
+            } catch (err) {
+                if (err?.code === 'ENOENT') return undefined;
+                throw err;
+            }
+        },
+        async put(id, doc) {
+            const { fs, p, d } = await dir();
+            const file = p.join(d, `${safeId(id)}.json`);
+            // Write then rename so readers never see a half-written document
+            const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(doc, null, 2));
+            await fs.rename(tmp, file);
+            return doc;
+        },
+        async delete(id) {
+            const { fs, p, d } = await dir();
+            try {
+                await fs.unlink(p.join(d, `${safeId(id)}.json`));
+                return true;
+            } catch (err) {
+                if (err?.code === 'ENOENT') return false;
+                throw err;
+            }
+        },
+        async list() {
+            const { fs, p, d } = await dir();
+            const files = (await fs.readdir(d)).filter((f) => f.endsWith('.json'));
+            const docs = await Promise.all(files.map((f) => fs.readFile(p.join(d, f), 'utf8').then(JSON.parse).catch(() => undefined)));
+            return docs.filter(Boolean);
+        },
+    };
+}
+
+// One connection per database file, shared by every sqlite store using it
+const sqliteDbs = new Map();
+
+function createSqliteStore({ path, name }) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new Error(`Invalid table name "${name}"`);
+    let ready;
+    const db = async () => {
+        ready ||= (async () => {
+            let sqlite;
+            try {
+                sqlite = await import('node:sqlite');
+            } catch {
+                throw new Error('SQLite store requires Node 22.13+ (node:sqlite is not available in this runtime)');
+            }
+            if (!sqliteDbs.has(path)) {
+                const { dirname } = await import('node:path');
+                const { mkdir } = await import('node:fs/promises');
+                await mkdir(dirname(path), { recursive: true });
+                sqliteDbs.set(path, new sqlite.DatabaseSync(path));
+            }
+            const conn = sqliteDbs.get(path);
+            conn.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+            return conn;
+        })();
+        return ready;
+    };
+    return {
+        kind: 'sqlite',
+        async get(id) {
+            const row = (await db()).prepare(`SELECT data FROM ${name} WHERE id = ?`).get(String(id));
+            return row ? JSON.parse(row.data) : undefined;
+        },
+        async put(id, doc) {
+            (await db()).prepare(`INSERT INTO ${name} (id, data, updated_at) VALUES (?, ?, ?) `
+                + 'ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at')
+                .run(String(id), JSON.stringify(doc), new Date().toISOString());
+            return doc;
+        },
+        async delete(id) {
+            const info = (await db()).prepare(`DELETE FROM ${name} WHERE id = ?`).run(String(id));
+            return info.changes > 0;
+        },
+        async list() {
+            return (await db()).prepare(`SELECT data FROM ${name} ORDER BY updated_at`).all().map((r) => JSON.parse(r.data));
+        },
+    };
+}
+
+// kind: memory | file | sqlite. path: directory for file stores, database file for sqlite.
+export function createStore({ kind = 'memory', path, name }) {
+    switch (kind) {
+        case 'memory': return createMemoryStore();
+        case 'file': return createFileStore({ path: path || 'data', name });
+        case 'sqlite': return createSqliteStore({ path: path || 'data/qiq.sqlite', name });
+        default: throw new Error(`Unknown store "${kind}" (expected ${STORE_KINDS.join(', ')})`);
+    }
+}
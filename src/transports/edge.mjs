@@ -0,0 +1,91 @@
+// Vercel Edge transport adapter (WebSocketPair)
+import { handleJsonRpcMessage } from '../mcp.mjs';
+import { originAllowed } from '../cors.mjs';
+import { authorizeRequest } from '../auth.mjs';
+import { wwwAuthenticate } from '../oauth.mjs';
+
+const SUPPORTED_SUBPROTOCOLS = ['mcp', 'jsonrpc'];
+
+const log = {
+    in: (msg) => console.log('[<- IN ]', msg),
+    out: (msg) => console.log('[OUT ->]', msg),
+    error: (...args) => console.error('[ERROR]', ...args),
+};
+
+function negotiateSubprotocol(req) {
+    const protoHeader = req.headers.get('sec-websocket-protocol') || '';
+    const requested = protoHeader.split(',').map((s) => s.trim()).filter(Boolean);
+    return SUPPORTED_SUBPROTOCOLS.find((p) => requested.includes(p));
+}
+
+// Handle a fetch-style Request: upgrade to a WebSocket served by the shared MCP core
+export async function handleEdgeRequest(req) {
+    // Only accept WebSocket upgrade
+    if (req.headers.get('upgrade') !== 'websocket') {
+        return new Response(JSON.stringify({ error: 'WebSocket-only endpoint. Use ws/wss upgrade.' }), {
+            status: 426,
+            headers: { 'content-type': 'application/json' },
+        });
+    }
+    // Browsers do not apply CORS to WebSockets: enforce the CORS_ORIGINS allow-list on the upgrade itself
+    const origin = req.headers.get('origin');
+    if (origin && !(await originAllowed(origin))) {
+        return new Response(JSON.stringify({ error: 'Origin not allowed' }), {
+            status: 403,
+            headers: { 'content-type': 'application/json' },
+        });
+    }
+
+    // Same credentials as run.mjs; the key's scopes limit every call on the socket
+    let authorized;
+    try {
+        authorized = await authorizeRequest(req);
+    } catch (e) {
+        log.error('WS authorize failed', e?.message || e);
+        return new Response(JSON.stringify({ error: 'Internal Server Error' }), {
+            status: 500,
+            headers: { 'content-type': 'application/json' },
+        });
+    }
+    if (!authorized.ok) {
+        return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+            status: 401,
+            headers: {
+                'content-type': 'application/json',
+                'www-authenticate': wwwAuthenticate(new URL(req.url).origin, authorized.token ? { error: 'invalid_token' } : {}),
+            },
+        });
+    }
+    const auth = authorized.auth;
+
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+
+    // Accept and set subprotocol
+    const selected = negotiateSubprotocol(req);
+    server.accept();
+    if (selected) {
+        try { server.protocol = selected; } catch { }
+    }
+
+    // Vercel sets these headers itself, so they identify the client for per-IP rate limits
+    const ip = req.headers.get('x-real-ip') || req.headers.get('x-forwarded-for')?.split(',')[0].trim() || undefined;
+    server.addEventListener('message', async (event) => {
+        const raw = typeof event.data === 'string' ? event.data : String(event.data);
+        log.in(raw);
+        const notify = (msg) => {
+            const out = JSON.stringify(msg);
+            log.out(out);
+            server.send(out);
+        };
+        const resp = await handleJsonRpcMessage(raw, { notify, auth, ip });
+        if (resp === null) return; // notification: no reply
+        log.out(resp);
+        server.send(resp);
+    });
+    server.addEventListener('close', () => { });
+    server.addEventListener('error', (e) => log.error('WS error', e));
+
+    // Return the upgraded socket response
+    return new Response(null, { status: 101, webSocket: client });
+}
@@ -0,0 +1,89 @@
+// Express transport adapter: SSE stream + JSON-RPC over HTTP POST
+import express from 'express';
+import { getTools, handleJsonRpc } from '../mcp.mjs';
+import { createStreamableHandlers, sendJsonRpc } from './streamable.mjs';
+import { clientIp } from '../rate-limit.mjs';
+import { cors } from '../cors.mjs';
+
+// Largest JSON-RPC body accepted: boq_parse/boq_resolve take base64 XLSX `content` of up to 10,000,000 characters
+const BODY_LIMIT = '12mb';
+
+// Legacy SSE stream (pre-session clients): one initialize result, then keep-alive pings
+async function streamSse(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    const init = await handleJsonRpc({ jsonrpc: '2.0', id: 0, method: 'initialize', params: { protocolVersion: '2024-11-05' } });
+    res.write('event: message\n');
+    res.write(`data: ${JSON.stringify(init)}\n\n`);
+    const interval = setInterval(() => {
+        res.write('event: ping\n');
+        res.write('data: "keep-alive"\n\n');
+    }, 25000);
+    req.on('close', () => clearInterval(interval));
+}
+
+async function postJsonRpc(req, res) {
+    try {
+        const out = await handleJsonRpc(req.body, { auth: req.auth, ip: clientIp(req) });
+        // Only notifications in the body: nothing to return
+        if (out === null) return res.status(202).end();
+        sendJsonRpc(res, out);
+    } catch {
+        res.status(200).json({ jsonrpc: '2.0', id: null, error: { code: -32603, message: 'Internal error' } });
+    }
+}
+
+// Body-parser failures surface as JSON-RPC errors instead of Express's HTML error page: unparseable JSON is a
+// Parse error, and an oversized, aborted or undecodable body keeps its HTTP status (413, 400, 415)
+function parseErrorHandler(err, _req, res, next) {
+    if (err?.type === 'entity.parse.failed') {
+        return res.status(200).json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+    if (!err?.type || !(err.status >= 400 && err.status < 500)) return next(err);
+    const message = err.type === 'entity.too.large' ? `Request body exceeds ${BODY_LIMIT}` : `Invalid Request: ${err.message}`;
+    res.status(err.status).json({ jsonrpc: '2.0', id: null, error: { code: -32600, message } });
+}
+
+// Returns a router exposing the MCP HTTP endpoints. `auth` is an Express middleware
+// applied to every non-preflight route (pass a no-op when auth is disabled); the key it
+// authenticates, as req.auth, limits which tools are listed and callable.
+export function createHttpTransport({ auth = (_req, _res, next) => next() } = {}) {
+    const router = express.Router();
+    // CORS first (src/cors.mjs), so preflights, rejected origins, parse errors and 401s all get its headers
+    router.all(['/mcp', '/mcp/http'], cors({ methods: 'GET, POST, DELETE, OPTIONS' }));
+    router.all('/mcp/sse', cors({ methods: 'GET, POST, OPTIONS' }));
+    router.all('/mcp/info', cors({ methods: 'GET, OPTIONS' }));
+    router.use(express.json({ type: 'application/json', limit: BODY_LIMIT }));
+
+    // Streamable HTTP endpoint (POST/GET/DELETE with Mcp-Session-Id). A GET without a session
+    // still answers 426 Upgrade Required; the WebSocket adapter handles the upgrade itself.
+    const streamable = createStreamableHandlers({
+        fallbackGet: (_req, res) => res.status(426).json({ error: 'Upgrade Required' }),
+    });
+    router.get('/mcp', auth, streamable.get);
+    router.post('/mcp', auth, streamable.post);
+    router.delete('/mcp', auth, streamable.delete);
+
+    // SSE endpoint – send initial initialize message and keep the stream alive
+    router.get('/mcp/sse', auth, streamSse);
+    // Some clients POST to /mcp/sse to send JSON-RPC requests
+    router.post('/mcp/sse', auth, postJsonRpc);
+
+    // /mcp/http is also a Streamable HTTP endpoint; a GET without a session keeps the legacy
+    // SSE alias (Agent Builder sometimes expects GET on the same URL)
+    const streamableHttp = createStreamableHandlers({ fallbackGet: streamSse });
+    router.get('/mcp/http', auth, streamableHttp.get);
+    router.post('/mcp/http', auth, streamableHttp.post);
+    router.delete('/mcp/http', auth, streamableHttp.delete);
+
+    // Agent Builder compatibility: return tools list
+    router.get('/mcp/info', auth, (req, res) => {
+        res.json({ ok: true, tools: getTools(req.auth) });
+    });
+
+    router.use(parseErrorHandler);
+    return router;
+}
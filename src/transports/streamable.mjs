@@ -0,0 +1,218 @@
+// MCP Streamable HTTP transport: one endpoint handling POST (client → server messages),
+// GET (server → client SSE stream) and DELETE (end session), keyed by the Mcp-Session-Id header.
+// Every SSE event carries an id and is kept in a bounded per-session buffer so a client can
+// reconnect with Last-Event-ID and receive what it missed.
+import crypto from 'node:crypto';
+import { handleJsonRpc } from '../mcp.mjs';
+import { clientIp, retryAfterOf } from '../rate-limit.mjs';
+
+const SESSION_TTL_MS = Number(process.env.MCP_SESSION_TTL_MS || 30 * 60 * 1000);
+const REPLAY_LIMIT = Number(process.env.MCP_SSE_REPLAY_LIMIT || 500);
+const MAX_SESSIONS = Number(process.env.MCP_MAX_SESSIONS || 1000);
+const KEEPALIVE_MS = 25000;
+// Stream id of the session's standalone GET stream (notifications not tied to a request)
+const STANDALONE = 'standalone';
+
+const sessions = new Map();
+
+const rpcError = (code, message) => ({ jsonrpc: '2.0', id: null, error: { code, message } });
+
+// keyId: the API key that initialized the session (undefined when auth is off); only it may use the session.
+// At MCP_MAX_SESSIONS the least recently used session without a connected stream makes room; when every
+// session has a client attached, no session is created (undefined).
+function createSession(keyId) {
+    if (sessions.size >= MAX_SESSIONS) {
+        const idle = oldestIdleSession();
+        if (!idle) return undefined;
+        closeSession(idle);
+    }
+    const now = Date.now();
+    const session = { id: crypto.randomUUID(), keyId, createdAt: now, lastActivity: now, nextEventId: 1, events: [], streams: new Map() };
+    sessions.set(session.id, session);
+    return session;
+}
+
+function oldestIdleSession() {
+    let oldest;
+    for (const session of sessions.values()) {
+        const attached = [...session.streams.values()].some((stream) => stream.res);
+        if (!attached && (!oldest || session.lastActivity < oldest.lastActivity)) oldest = session;
+    }
+    return oldest;
+}
+
+function closeSession(session) {
+    for (const stream of session.streams.values()) stream.res?.end();
+    sessions.delete(session.id);
+}
+
+// Drop sessions nobody has touched within the TTL
+setInterval(() => {
+    const cutoff = Date.now() - SESSION_TTL_MS;
+    for (const session of sessions.values()) {
+        if (session.lastActivity < cutoff) closeSession(session);
+    }
+}, 60000).unref();
+
+const isClientResponse = (m) => m && typeof m === 'object' && !('method' in m) && ('result' in m || 'error' in m);
+
+const acceptsSse = (req) => String(req.headers.accept || '').includes('text/event-stream');
+
+function openSse(res, session) {
+    const headers = {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    };
+    if (session) headers['Mcp-Session-Id'] = session.id;
+    res.writeHead(200, headers);
+}
+
+function writeEvent(res, eventId, message) {
+    if (eventId !== undefined) res.write(`id: ${eventId}\n`);
+    res.write('event: message\n');
+    res.write(`data: ${JSON.stringify(message)}\n\n`);
+}
+
+// Record a message on one of the session's streams and deliver it if a client is attached.
+// Messages sent while the client is disconnected are replayed on reconnect with Last-Event-ID.
+function sendOnStream(session, streamId, message) {
+    const eventId = String(session.nextEventId++);
+    session.events.push({ eventId, streamId, message });
+    if (session.events.length > REPLAY_LIMIT) session.events.splice(0, session.events.length - REPLAY_LIMIT);
+    const stream = session.streams.get(streamId);
+    if (stream?.res) writeEvent(stream.res, eventId, message);
+}
+
+// Resolve the session for a request. Requests without Mcp-Session-Id are served statelessly
+// (older clients never send one); an unknown or expired id gets 404 so the client re-initializes.
+// A session presented with another API key than the one that created it is treated as unknown.
+function resolveSession(req, res) {
+    const id = req.headers['mcp-session-id'];
+    if (!id) return { session: null };
+    const session = sessions.get(id);
+    if (!session || session.keyId !== req.auth?.key_id) {
+        res.status(404).json(rpcError(-32001, 'Session not found'));
+        return { missing: true };
+    }
+    session.lastActivity = Date.now();
+    return { session };
+}
+
+// JSON-RPC response body. A rate-limited single request answers 429, and any limited member sets
+// Retry-After (answers streamed over SSE can only carry retry_after in the error data).
+export function sendJsonRpc(res, out) {
+    const retryAfter = retryAfterOf(out);
+    if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+    res.status(retryAfter && !Array.isArray(out) ? 429 : 200).json(out);
+}
+
+async function handlePost(req, res) {
+    const resolved = resolveSession(req, res);
+    if (resolved.missing) return;
+    let { session } = resolved;
+
+    const body = req.body;
+    if (!session && body?.method === 'initialize') {
+        session = createSession(req.auth?.key_id);
+        if (!session) {
+            res.setHeader('Retry-After', '60');
+            return res.status(503).json(rpcError(-32000, 'Too many open sessions, try again later'));
+        }
+    }
+    if (session) res.setHeader('Mcp-Session-Id', session.id);
+
+    // Responses to server-initiated requests are acknowledged and dropped (we never send any)
+    let payload = body;
+    if (Array.isArray(body)) {
+        payload = body.filter((m) => !isClientResponse(m));
+        if (body.length && !payload.length) return res.status(202).end();
+    } else if (isClientResponse(body)) {
+        return res.status(202).end();
+    }
+
+    // Tool calls may emit progress/log notifications before their result, so answer them on a
+    // per-request SSE stream when the client accepts one; everything else gets a plain JSON body.
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const hasToolCall = messages.some((m) => m?.method === 'tools/call' && 'id' in m);
+    if (acceptsSse(req) && hasToolCall) {
+        const streamId = crypto.randomUUID();
+        const stream = { res };
+        openSse(res, session);
+        res.on('close', () => { if (stream.res === res) stream.res = null; });
+        let send;
+        if (session) {
+            session.streams.set(streamId, stream);
+            send = (msg) => sendOnStream(session, streamId, msg);
+        } else {
+            send = (msg) => { if (stream.res) writeEvent(stream.res, undefined, msg); };
+        }
+        const out = await handleJsonRpc(payload, { sessionId: session?.id, notify: send, auth: req.auth, ip: clientIp(req) });
+        send(out);
+        // The request stream is complete; its events stay in the replay buffer
+        session?.streams.delete(streamId);
+        stream.res?.end();
+        return;
+    }
+
+    const notify = session ? (msg) => sendOnStream(session, STANDALONE, msg) : undefined;
+    const out = await handleJsonRpc(payload, { sessionId: session?.id, notify, auth: req.auth, ip: clientIp(req) });
+    // Notifications only: accepted, no body
+    if (out === null) return res.status(202).end();
+    sendJsonRpc(res, out);
+}
+
+// GET opens (or resumes) a server → client stream for an existing session. Without a session
+// id the request is handed to `fallback`, which keeps the pre-session behaviour of each route.
+function handleGet(fallback) {
+    return (req, res) => {
+        if (!req.headers['mcp-session-id']) return fallback(req, res);
+        const { session, missing } = resolveSession(req, res);
+        if (missing) return;
+        if (!acceptsSse(req)) return res.status(406).json(rpcError(-32000, 'Not Acceptable: client must accept text/event-stream'));
+
+        // Resuming: Last-Event-ID identifies which stream (standalone or a tool call) to continue. An event that
+        // has left the replay buffer means messages were lost, so the client is told to start a new session.
+        const lastEventId = req.headers['last-event-id'];
+        const last = lastEventId ? session.events.find((e) => e.eventId === String(lastEventId)) : undefined;
+        if (lastEventId && !last) {
+            return res.status(404).json(rpcError(-32001, `Event ${lastEventId} is no longer available; reinitialize the session`));
+        }
+        const streamId = last ? last.streamId : STANDALONE;
+
+        openSse(res, session);
+        if (last) {
+            const from = session.events.indexOf(last) + 1;
+            for (const e of session.events.slice(from)) {
+                if (e.streamId === streamId) writeEvent(res, e.eventId, e.message);
+            }
+        }
+        // A finished tool-call stream only needed its replay
+        if (streamId !== STANDALONE && !session.streams.has(streamId)) return res.end();
+
+        const stream = session.streams.get(streamId) || { res: null };
+        // One live connection per stream: a reconnect takes over from a stale one
+        if (stream.res && stream.res !== res) stream.res.end();
+        stream.res = res;
+        session.streams.set(streamId, stream);
+
+        const interval = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_MS);
+        res.on('close', () => {
+            clearInterval(interval);
+            if (stream.res === res) stream.res = null;
+        });
+    };
+}
+
+function handleDelete(req, res) {
+    if (!req.headers['mcp-session-id']) return res.status(400).json(rpcError(-32000, 'Bad Request: Mcp-Session-Id header is required'));
+    const { session, missing } = resolveSession(req, res);
+    if (missing) return;
+    closeSession(session);
+    res.status(204).end();
+}
+
+// Handlers for one Streamable HTTP endpoint; `fallbackGet` serves GETs that carry no session id
+export function createStreamableHandlers({ fallbackGet }) {
+    return { post: handlePost, get: handleGet(fallbackGet), delete: handleDelete };
+}
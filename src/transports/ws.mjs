@@ -0,0 +1,72 @@
+// WebSocket transport adapter (Node `ws` server)
+import { WebSocketServer } from 'ws';
+import { handleJsonRpcMessage } from '../mcp.mjs';
+import { clientIp } from '../rate-limit.mjs';
+
+const SUPPORTED_SUBPROTOCOLS = ['mcp', 'jsonrpc'];
+
+// Pick the first subprotocol we support from what the client requested, in our preference order
+function negotiateSubprotocol(requested = []) {
+    const list = Array.from(requested || []);
+    return SUPPORTED_SUBPROTOCOLS.find((p) => list.includes(p));
+}
+
+// Simple logger for JSON-RPC traffic
+const log = {
+    in: (msg) => console.log('[<- IN ]', msg),
+    out: (msg) => console.log('[OUT ->]', msg),
+    info: (...args) => console.log('[INFO ]', ...args),
+    error: (...args) => console.error('[ERROR]', ...args),
+};
+
+// Attach the MCP WebSocket endpoint to an existing http.Server.
+// `authorize(req)` (sync or async) may return false to reject the upgrade with 401; it can set
+// `req.auth` ({ key_id, scopes }), which every call on the connection is then checked against.
+// `challenge(req)` gives the WWW-Authenticate value of that 401 (default "Bearer").
+// `allowOrigin(origin)` (sync or async) may return false to reject a browser's upgrade with 403;
+// browsers do not apply CORS to WebSockets, so this is the only origin check they get.
+export function attachWebSocketTransport(server, { path = '/mcp', authorize, challenge = () => 'Bearer', allowOrigin } = {}) {
+    const verify = async (info) => {
+        if (allowOrigin && info.origin !== undefined && !(await allowOrigin(info.origin))) {
+            log.info('WS rejected origin', info.origin);
+            return [false, 403, 'Forbidden'];
+        }
+        if (authorize && !(await authorize(info.req))) return [false, 401, 'Unauthorized', { 'WWW-Authenticate': challenge(info.req) }];
+        return [true];
+    };
+    const wss = new WebSocketServer({
+        server,
+        path,
+        handleProtocols: (protocols) => negotiateSubprotocol(protocols) || false,
+        verifyClient: authorize || allowOrigin
+            ? (info, done) => verify(info)
+                .then((result) => done(...result))
+                .catch((e) => {
+                    log.error('WS authorize failed', e?.message || e);
+                    done(false, 500, 'Internal Server Error');
+                })
+            : undefined,
+    });
+
+    wss.on('connection', (ws, request) => {
+        const ip = clientIp(request);
+        log.info('WS connected from', ip);
+        ws.on('message', async (data) => {
+            const raw = data.toString();
+            log.in(raw);
+            const notify = (msg) => {
+                const out = JSON.stringify(msg);
+                log.out(out);
+                ws.send(out);
+            };
+            const resp = await handleJsonRpcMessage(raw, { notify, auth: request.auth, ip });
+            if (resp === null) return; // notification: no reply
+            log.out(resp);
+            ws.send(resp);
+        });
+        ws.on('close', () => log.info('WS closed'));
+        ws.on('error', (e) => log.error('WS error', e));
+    });
+
+    return wss;
+}
@@ -0,0 +1,62 @@
+// Config files loaded on first use, then watched and reloaded when they change: scoring profiles, the
+// exchange-rate file and the MPN alias table. A broken edit is logged and the last good value stays in use; a
+// missing file (never created, or deleted since) means the empty value. Where there is no fs watcher (Edge
+// runtime) the file is read once.
+const WATCH_INTERVAL_MS = 2000;
+
+// parse(text) → value, throwing when the content is invalid; `empty` stands in for a missing file.
+// `tag`, `name` and describe(value) only shape the log lines ("[TAG] Loaded <describe> from <path>").
+// Returns { load, set }: load() resolves to { path, value, loadedAt, error } and picks up reloads;
+// set(value) records a value the caller has just written to the file itself.
+export function createWatchedFile({ path, parse, empty, tag, name, describe = () => name }) {
+    const state = { path, value: empty, loadedAt: undefined, error: undefined };
+    let loading;
+    let watching = false;
+
+    const set = (value) => {
+        state.value = value;
+        state.loadedAt = new Date().toISOString();
+        state.error = undefined;
+    };
+
+    async function read() {
+        try {
+            const { readFile } = await import('node:fs/promises');
+            set(await parse(await readFile(path, 'utf8')));
+            console.log(`[${tag}] Loaded`, describe(state.value), 'from', path);
+        } catch (err) {
+            if (err?.code === 'ENOENT') {
+                if (state.loadedAt) console.log(`[${tag}]`, path, 'removed; no', name);
+                state.value = empty;
+                state.loadedAt = undefined;
+                state.error = undefined;
+                return;
+            }
+            state.error = `${path}: ${err?.message || err}`;
+            console.error(`[${tag}] Keeping previous ${name}:`, state.error);
+        }
+    }
+
+    async function watch() {
+        if (watching) return;
+        watching = true;
+        const { watchFile } = await import('node:fs');
+        const watcher = watchFile(path, { interval: WATCH_INTERVAL_MS, persistent: false }, (curr, prev) => {
+            if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+            loading = read();
+        });
+        watcher?.unref?.();
+    }
+
+    async function load() {
+        if (!loading) {
+            loading = read().then(() => watch().catch(() => {
+                // No fs watcher available (e.g. Edge runtime): the value stays as loaded
+            }));
+        }
+        await loading;
+        return state;
+    }
+
+    return { load, set };
+}
@@ -0,0 +1,137 @@
+// Minimal XLSX reader: cell values of one worksheet as rows of strings. Enough for BOQ/RFQ sheets
+// (shared and inline strings, numbers, booleans); styles, formulas and dates are returned as stored.
+// An .xlsx file is a zip of XML parts, read here with node:zlib (imported lazily for the Edge runtime).
+// Uploads come from any caller with the search scope, so inflated parts, column refs and the total cell count
+// are capped: a zip bomb or a ref like ZZZZZZ1 fails with an error instead of exhausting memory.
+
+// Per inflated part (the worksheet or shared strings XML) and for all parts read together
+const MAX_PART_BYTES = 32 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 64 * 1024 * 1024;
+// XFD, the last column Excel allows
+const MAX_COLUMN = 16383;
+// Cells in the returned rows, empty ones included
+const MAX_CELLS = 2000000;
+
+// Zip central directory → { name: { method, offset, size, uncompressedSize } }
+function readZipEntries(buf) {
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not an XLSX file (zip directory not found)');
+    const count = buf.readUInt16LE(eocd + 10);
+    let p = buf.readUInt32LE(eocd + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+        if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('Corrupt XLSX file (bad zip directory)');
+        const nameLen = buf.readUInt16LE(p + 28);
+        const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+        entries[name] = {
+            method: buf.readUInt16LE(p + 10),
+            size: buf.readUInt32LE(p + 20),
+            uncompressedSize: buf.readUInt32LE(p + 24),
+            offset: buf.readUInt32LE(p + 42),
+        };
+        p += 46 + nameLen + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+    }
+    return entries;
+}
+
+// The directory's uncompressed size is checked first, and inflation stops at `limit` whatever it claims
+function readZipEntry(buf, entry, zlib, limit = MAX_PART_BYTES) {
+    if (entry.uncompressedSize > limit) throw new Error(`XLSX part too large (${entry.uncompressedSize} bytes uncompressed, limit ${limit})`);
+    const p = entry.offset;
+    if (buf.readUInt32LE(p) !== 0x04034b50) throw new Error('Corrupt XLSX file (bad zip entry)');
+    const start = p + 30 + buf.readUInt16LE(p + 26) + buf.readUInt16LE(p + 28);
+    const data = buf.subarray(start, start + entry.size);
+    if (entry.method === 0) {
+        if (data.length > limit) throw new Error(`XLSX part too large (limit ${limit} bytes)`);
+        return data.toString('utf8');
+    }
+    if (entry.method === 8) {
+        try {
+            return zlib.inflateRawSync(data, { maxOutputLength: limit }).toString('utf8');
+        } catch (err) {
+            if (err?.code === 'ERR_BUFFER_TOO_LARGE' || err instanceof RangeError) throw new Error(`XLSX part too large (limit ${limit} bytes uncompressed)`);
+            throw err;
+        }
+    }
+    throw new Error(`Unsupported XLSX compression method ${entry.method}`);
+}
+
+const decodeXml = (s) => s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+// Concatenated text of every <t> run inside an element (rich text has several)
+const textRuns = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>|<t(?:\s[^>]*)?\/>/g)].map((m) => decodeXml(m[1] || '')).join('');
+
+const columnIndex = (ref) => {
+    const letters = /^[A-Z]+/.exec(ref)?.[0] || 'A';
+    // XFD is 3 letters; anything longer is out of range, so stop before the number grows
+    if (letters.length > 3) throw new Error(`Cell reference ${ref} is beyond column XFD`);
+    const index = [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+    if (index > MAX_COLUMN) throw new Error(`Cell reference ${ref} is beyond column XFD`);
+    return index;
+};
+
+// Returns { sheets: [names], name, rows: string[][] } for the named sheet (default: the first)
+export async function readXlsx(buf, { sheet } = {}) {
+    const zlib = await import('node:zlib');
+    const entries = readZipEntries(buf);
+    let budget = MAX_TOTAL_BYTES;
+    const part = (name) => {
+        if (!entries[name]) return undefined;
+        const text = readZipEntry(buf, entries[name], zlib, Math.min(MAX_PART_BYTES, budget));
+        budget -= Buffer.byteLength(text);
+        return text;
+    };
+
+    const workbook = part('xl/workbook.xml');
+    if (!workbook) throw new Error('Not an XLSX file (xl/workbook.xml missing)');
+    const rels = Object.fromEntries([...(part('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b[^>]*>/g)].map((m) => [
+        /\bId="([^"]+)"/.exec(m[0])?.[1],
+        /\bTarget="([^"]+)"/.exec(m[0])?.[1],
+    ]));
+    const sheets = [...workbook.matchAll(/<sheet\b[^>]*>/g)].map((m) => ({
+        name: decodeXml(/\bname="([^"]*)"/.exec(m[0])?.[1] || ''),
+        target: rels[/\br:id="([^"]+)"/.exec(m[0])?.[1]],
+    }));
+    const chosen = sheet ? sheets.find((s) => s.name.toLowerCase() === String(sheet).toLowerCase()) : sheets[0];
+    if (!chosen?.target) throw new Error(sheet ? `Sheet "${sheet}" not found (sheets: ${sheets.map((s) => s.name).join(', ')})` : 'Workbook has no sheets');
+    const path = chosen.target.startsWith('/') ? chosen.target.slice(1) : `xl/${chosen.target.replace(/^\.\//, '')}`;
+    const xml = part(path);
+    if (!xml) throw new Error(`Worksheet part ${path} missing`);
+
+    const shared = [...(part('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textRuns(m[1]));
+    const rows = [];
+    let cells = 0;
+    for (const rowMatch of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        // Sparse until the row is complete: column index → value
+        const row = new Map();
+        let next = 0;
+        let width = 0;
+        for (const c of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attrs = c[1];
+            const body = c[2] || '';
+            const ref = /\br="([A-Z]+\d+)"/.exec(attrs)?.[1];
+            const type = /\bt="([^"]+)"/.exec(attrs)?.[1];
+            const v = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+            let value = '';
+            if (type === 's') value = shared[Number(v)] ?? '';
+            else if (type === 'inlineStr') value = textRuns(body);
+            else if (type === 'b') value = v === '1' ? 'TRUE' : 'FALSE';
+            else if (v !== undefined) value = decodeXml(v);
+            const col = ref ? columnIndex(ref) : next;
+            if (col > MAX_COLUMN) throw new Error('Row has cells beyond column XFD');
+            row.set(col, value);
+            next = col + 1;
+            width = Math.max(width, next);
+        }
+        cells += width;
+        if (cells > MAX_CELLS) throw new Error(`Worksheet too large (more than ${MAX_CELLS} cells)`);
+        rows.push(Array.from({ length: width }, (_, i) => row.get(i) ?? ''));
+    }
+    return { sheets: sheets.map((s) => s.name), name: chosen.name, rows };
+}